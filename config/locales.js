@@ -0,0 +1,30 @@
+// config/locales.js
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Storefront languages.
+//    Catalog text is written in DEFAULT_LOCALE and stored in the usual fields
+//    (Dress.name, Category.name, ...). Every other locale is an optional
+//    translation stored under `translations.<locale>`; missing translations
+//    fall back to the default text.
+//
+//    - en: English (default)
+//    - hi: Hindi
+//    - gu: Gujarati
+const DEFAULT_LOCALE = 'en';
+const SUPPORTED_LOCALES = ['en', 'hi', 'gu'];
+
+// Locales that are stored as translations
+const TRANSLATION_LOCALES = SUPPORTED_LOCALES.filter((l) => l !== DEFAULT_LOCALE);
+
+// Translatable fields per model
+const TRANSLATABLE_FIELDS = {
+  dress: ['name', 'description', 'careInstructions'],
+  category: ['name']
+};
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  TRANSLATION_LOCALES,
+  TRANSLATABLE_FIELDS
+};
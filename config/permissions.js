@@ -0,0 +1,88 @@
+// config/permissions.js
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Role → permission map.
+//    Permissions are "<resource>:<action>" strings. A role may be granted a
+//    whole resource with "<resource>:*" or everything with "*".
+//
+//    - admin:  full access
+//    - editor: catalog editor; creates and edits dresses/categories and
+//              curates collections, but cannot delete catalog items or manage users
+//    - staff:  read-only access to admin reports / analytics and the audit log
+//    - user:   regular customer, no admin permissions
+const ROLE_PERMISSIONS = {
+  admin: ['*'],
+  editor: [
+    'category:create',
+    'category:update',
+    'dress:create',
+    'dress:update',
+    'stock:adjust',
+    'stock:read',
+    'collection:manage',
+    'analytics:read',
+    'audit:read'
+  ],
+  staff: ['stock:read', 'lead:read', 'analytics:read', 'audit:read'],
+  user: []
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Every concrete permission checked somewhere by requirePermission()
+const PERMISSIONS = [
+  'category:create',
+  'category:update',
+  'category:delete',
+  'dress:create',
+  'dress:update',
+  'dress:delete',
+  'stock:adjust',
+  'stock:read',
+  'collection:manage',
+  'promotion:manage',
+  'coupon:manage',
+  'review:moderate',
+  'lead:read',
+  'lead:manage',
+  'agent:manage',
+  'user:manage',
+  'apikey:manage',
+  'settings:manage',
+  'analytics:read',
+  'audit:read'
+];
+
+// Scopes an API key may be granted. Keys are for catalog automation, so they
+// can never manage users or other API keys.
+const API_KEY_SCOPES = PERMISSIONS.filter(
+  (p) => !p.startsWith('user:') && !p.startsWith('apikey:')
+);
+
+// Check whether a list of granted permissions (a role's or an API key's scopes)
+// covers a single permission
+const grants = (granted, permission) => {
+  const [resource] = permission.split(':');
+  return (
+    granted.includes('*') ||
+    granted.includes(permission) ||
+    granted.includes(`${resource}:*`)
+  );
+};
+
+// Check whether a role grants a single permission
+const hasPermission = (role, permission) =>
+  grants(ROLE_PERMISSIONS[role] || [], permission);
+
+// Flattened permission list for a role (used in login/profile responses)
+const permissionsFor = (role) => ROLE_PERMISSIONS[role] || [];
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  ROLES,
+  PERMISSIONS,
+  API_KEY_SCOPES,
+  grants,
+  hasPermission,
+  permissionsFor
+};
@@ -2,12 +2,77 @@
 
 const jwt = require('jsonwebtoken');
 const User = require('../models/userModel');
+const ApiKey = require('../models/apiKeyModel');
+const { hashToken } = require('../utils/tokens');
+const { grants, hasPermission } = require('../config/permissions');
+
+// Only write lastUsedAt at most once per minute per key
+const API_KEY_TOUCH_INTERVAL_MS = 60 * 1000;
+
+// Read an API key from `X-API-Key: <key>` or `Authorization: ApiKey <key>`
+const getApiKey = (req) => {
+  if (req.headers['x-api-key']) return req.headers['x-api-key'];
+  if (req.headers.authorization && req.headers.authorization.startsWith('ApiKey ')) {
+    return req.headers.authorization.split(' ')[1];
+  }
+  return null;
+};
+
+// Authenticate with an API key instead of a JWT. Attaches
+// `req.user = { id: <creator>, role: 'api-key', apiKey: <keyId>, scopes }`.
+// A key only works while its creator is an active user who may still manage
+// API keys, so disabling, deleting or demoting the creator cuts it off.
+const protectWithApiKey = async (rawKey, req, res, next) => {
+  try {
+    const apiKey = await ApiKey.findOne({ keyHash: hashToken(rawKey) });
+    if (!apiKey || !apiKey.isActive) {
+      return res.status(401).json({ success: false, message: 'Not authorized, invalid API key' });
+    }
+
+    const creator = await User.findById(apiKey.createdBy).select('role isActive');
+    if (!creator || !creator.isActive || !hasPermission(creator.role, 'apikey:manage')) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized, the creator of this API key can no longer use it'
+      });
+    }
+
+    const now = new Date();
+    if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > API_KEY_TOUCH_INTERVAL_MS) {
+      // Fire-and-forget: a failed timestamp write must not fail the request
+      ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: now, lastUsedIp: req.ip })
+        .catch((err) => console.error('API key touch error:', err));
+    }
+
+    req.user = {
+      id: apiKey.createdBy.toString(),
+      role: 'api-key',
+      apiKey: apiKey._id.toString(),
+      scopes: apiKey.scopes
+    };
+    next();
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Error verifying API key',
+      error: error.message
+    });
+  }
+};
 
 // ──────────────────────────────────────────────────────────────────────────────
 // 1) protect()
 //    Verifies a Bearer JWT in the `Authorization` header and attaches `req.user = { id, role }`.
-//    If missing or invalid, returns 401 Unauthorized.
+//    The token's `tv` claim must match the user's current tokenVersion, so a
+//    "log out all sessions" or admin revocation cuts off access tokens at once.
+//    If missing, invalid, revoked or the account is disabled, returns 401 Unauthorized.
+//    An API key (X-API-Key or `Authorization: ApiKey <key>`) is accepted instead.
 const protect = async (req, res, next) => {
+  const rawApiKey = getApiKey(req);
+  if (rawApiKey) {
+    return protectWithApiKey(rawApiKey, req, res, next);
+  }
+
   let token;
 
   // Look for token in Authorization header: "Bearer <token>"
@@ -22,16 +87,37 @@ const protect = async (req, res, next) => {
     return res.status(401).json({ success: false, message: 'Not authorized, no token' });
   }
 
+  let decoded;
   try {
     // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    // decoded = { id: <userId>, role: 'admin' | 'user', iat, exp }
-    req.user = { id: decoded.id, role: decoded.role };
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // decoded = { id: <userId>, role: 'admin' | 'user', tv: <tokenVersion>, iat, exp }
+    // Single-use action tokens (password reset, email verification) carry a
+    // `purpose` claim and must never be accepted as access tokens
+    if (decoded.purpose) throw new Error('Action token used as access token');
   } catch (error) {
     console.error('JWT verification error:', error);
     return res.status(401).json({ success: false, message: 'Not authorized, token failed' });
   }
+
+  try {
+    const user = await User.findById(decoded.id).select('role tokenVersion isActive');
+    if (!user || (decoded.tv || 0) !== (user.tokenVersion || 0)) {
+      return res.status(401).json({ success: false, message: 'Not authorized, token revoked' });
+    }
+    if (!user.isActive) {
+      return res.status(401).json({ success: false, message: 'Not authorized, account disabled' });
+    }
+
+    req.user = { id: user._id.toString(), role: user.role };
+    next();
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Error verifying user',
+      error: error.message
+    });
+  }
 };
 
 // ──────────────────────────────────────────────────────────────────────────────
@@ -45,7 +131,63 @@ const adminOnly = (req, res, next) => {
   return res.status(403).json({ success: false, message: 'Access denied: admin only' });
 };
 
+// ──────────────────────────────────────────────────────────────────────────────
+// 3) requirePermission(...permissions)
+//    Must be used **after** protect(). Checks that req.user.role (or, for API
+//    keys, req.user.scopes) grants every listed permission (see
+//    config/permissions.js). If not, returns 403 Forbidden.
+const requirePermission = (...permissions) => (req, res, next) => {
+  const allowed = (p) =>
+    req.user.scopes ? grants(req.user.scopes, p) : hasPermission(req.user.role, p);
+
+  if (req.user && permissions.every(allowed)) {
+    return next();
+  }
+  return res.status(403).json({
+    success: false,
+    message: `Access denied: requires ${permissions.join(', ')}`
+  });
+};
+
+// ──────────────────────────────────────────────────────────────────────────────
+// 4) usersOnly()
+//    Must be used **after** protect(). Rejects API-key callers on routes that act
+//    on "the current user" (profile, password, sessions), which only make sense
+//    for a human login.
+const usersOnly = (req, res, next) => {
+  if (req.user && !req.user.apiKey) {
+    return next();
+  }
+  return res.status(403).json({ success: false, message: 'Access denied: not available to API keys' });
+};
+
+// ──────────────────────────────────────────────────────────────────────────────
+// 5) optionalAuth()
+//    For public routes that behave a little differently for logged-in users
+//    (e.g. attributing a lead). Attaches `req.user = { id, role }` when a valid
+//    Bearer JWT is sent and silently continues as a guest otherwise.
+const optionalAuth = async (req, res, next) => {
+  const header = req.headers.authorization;
+  if (!header || !header.startsWith('Bearer ')) return next();
+
+  try {
+    const decoded = jwt.verify(header.split(' ')[1], process.env.JWT_SECRET);
+    if (decoded.purpose) return next();
+
+    const user = await User.findById(decoded.id).select('role tokenVersion isActive');
+    if (user && user.isActive && (decoded.tv || 0) === (user.tokenVersion || 0)) {
+      req.user = { id: user._id.toString(), role: user.role };
+    }
+  } catch (error) {
+    // Invalid or expired token: treat as guest
+  }
+  next();
+};
+
 module.exports = {
   protect,
-  adminOnly
+  adminOnly,
+  requirePermission,
+  usersOnly,
+  optionalAuth
 };
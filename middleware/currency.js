@@ -0,0 +1,22 @@
+// middleware/currency.js
+
+const { CurrencyError, currencyContext } = require('../utils/currency');
+
+// Resolve ?currency= into req.currency ({ code, rate, decimals }); defaults to
+// the store currency and rejects unsupported codes with 400
+const resolveCurrency = async (req, res, next) => {
+  try {
+    req.currency = await currencyContext(req.query.currency);
+    next();
+  } catch (error) {
+    if (error instanceof CurrencyError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    next(error);
+  }
+};
+
+module.exports = { resolveCurrency };
@@ -0,0 +1,19 @@
+// middleware/locale.js
+
+const { DEFAULT_LOCALE, SUPPORTED_LOCALES } = require('../config/locales');
+const { normalizeLocale } = require('../utils/locale');
+
+// Resolve the catalog language into req.locale: ?lang= first, then the
+// Accept-Language header, then the default locale. Unsupported languages
+// fall through to the next option rather than failing the request.
+const resolveLocale = (req, res, next) => {
+  req.locale =
+    normalizeLocale(req.query.lang) ||
+    req.acceptsLanguages(...SUPPORTED_LOCALES) ||
+    DEFAULT_LOCALE;
+  res.set('Content-Language', req.locale);
+  res.vary('Accept-Language');
+  next();
+};
+
+module.exports = { resolveLocale };
@@ -35,6 +35,26 @@ const dressStorage = new CloudinaryStorage({
   }
 });
 
+// Cloudinary storage for customer review photos. Every photo is named after
+// its author (<folder>/<userId>-<random>) so routes can tell which photos a
+// review may own and destroy.
+const REVIEW_PHOTO_FOLDER = 'dress-catalog/reviews';
+const reviewStorage = new CloudinaryStorage({
+  cloudinary: cloudinary,
+  params: {
+    folder: REVIEW_PHOTO_FOLDER,
+    public_id: (req) => `${req.user.id}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    allowed_formats: ['jpg', 'jpeg', 'png', 'webp'],
+    transformation: [
+      { width: 1000, height: 1000, crop: 'limit', quality: 'auto' }
+    ]
+  }
+});
+
+// True when `publicId` is a review photo uploaded by `userId`
+const isReviewPhotoOf = (publicId, userId) =>
+  typeof publicId === 'string' && publicId.startsWith(`${REVIEW_PHOTO_FOLDER}/${userId}-`);
+
 // File filter: only accept image MIME types
 const fileFilter = (req, file, cb) => {
   if (file.mimetype.startsWith('image/')) {
@@ -44,6 +64,17 @@ const fileFilter = (req, file, cb) => {
   }
 };
 
+// File filter for bulk import sheets. Only CSV is read; an Excel workbook
+// must be saved as CSV first.
+const CSV_MIME_TYPES = ['text/csv', 'application/csv', 'text/plain', 'application/vnd.ms-excel'];
+const csvFileFilter = (req, file, cb) => {
+  if (CSV_MIME_TYPES.includes(file.mimetype) || /\.csv$/i.test(file.originalname)) {
+    cb(null, true);
+  } else {
+    cb(new Error('Only CSV files are allowed! Save XLSX sheets as CSV first.'), false);
+  }
+};
+
 // Multer instances
 const uploadCategory = multer({
   storage: categoryStorage,
@@ -62,6 +93,25 @@ const uploadDress = multer({
   }
 });
 
+const uploadReviewPhotos = multer({
+  storage: reviewStorage,
+  fileFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5 MB per file
+    files: 5                    // a review holds at most 5 photos
+  }
+});
+
+// CSV import files are kept in memory and parsed by the route
+const uploadCsv = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: csvFileFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5 MB limit
+    files: 1
+  }
+});
+
 // Multer error handler middleware
 const handleMulterError = (error, req, res, next) => {
   if (error instanceof multer.MulterError) {
@@ -74,7 +124,7 @@ const handleMulterError = (error, req, res, next) => {
     if (error.code === 'LIMIT_FILE_COUNT') {
       return res.status(400).json({
         success: false,
-        message: 'Too many files. Maximum 10 files allowed.'
+        message: 'Too many files uploaded.'
       });
     }
     if (error.code === 'LIMIT_UNEXPECTED_FILE') {
@@ -85,7 +135,10 @@ const handleMulterError = (error, req, res, next) => {
     }
   }
 
-  if (error.message === 'Only image files are allowed!') {
+  if (
+    error.message === 'Only image files are allowed!' ||
+    error.message.startsWith('Only CSV files are allowed!')
+  ) {
     return res.status(400).json({
       success: false,
       message: error.message
@@ -95,6 +148,19 @@ const handleMulterError = (error, req, res, next) => {
   next(error);
 };
 
+// Helper: copy a remote image (e.g. a bulk import URL) into the dress folder
+// with the same transformation as uploaded dress images. Returns { url, public_id }.
+const uploadDressImageFromUrl = async (imageUrl) => {
+  const result = await cloudinary.uploader.upload(imageUrl, {
+    folder: 'dress-catalog/dresses',
+    allowed_formats: ['jpg', 'jpeg', 'png', 'webp'],
+    transformation: [
+      { width: 800, height: 1000, crop: 'fit', quality: 'auto' }
+    ]
+  });
+  return { url: result.secure_url, public_id: result.public_id };
+};
+
 // Helper: delete a single image from Cloudinary by public_id
 const deleteFromCloudinary = async (publicId) => {
   try {
@@ -124,7 +190,12 @@ const deleteMultipleFromCloudinary = async (publicIds) => {
 module.exports = {
   uploadCategory,
   uploadDress,
+  uploadReviewPhotos,
+  uploadCsv,
   handleMulterError,
+  REVIEW_PHOTO_FOLDER,
+  isReviewPhotoOf,
+  uploadDressImageFromUrl,
   deleteFromCloudinary,
   deleteMultipleFromCloudinary,
   cloudinary
@@ -0,0 +1,77 @@
+// models/apiKeyModel.js
+
+const mongoose = require('mongoose');
+const { API_KEY_SCOPES } = require('../config/permissions');
+
+// Machine-to-machine API key. Only a SHA-256 hash of the key is stored; the
+// raw key is shown once, when it is created. `prefix` is kept so admins can
+// tell keys apart in listings.
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'API key name is required'],
+    trim: true,
+    maxlength: [100, 'API key name cannot exceed 100 characters']
+  },
+  prefix: {
+    type: String,
+    required: [true, 'API key prefix is required']
+  },
+  keyHash: {
+    type: String,
+    required: [true, 'API key hash is required'],
+    unique: true
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: API_KEY_SCOPES
+    }],
+    validate: {
+      validator: (v) => Array.isArray(v) && v.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Creator is required']
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+apiKeySchema.index({ revokedAt: 1, createdAt: -1 });
+
+// Virtual: key can currently be used
+apiKeySchema.virtual('isActive').get(function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+apiKeySchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.keyHash;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+module.exports = ApiKey;
@@ -0,0 +1,80 @@
+// models/cartModel.js
+
+const mongoose = require('mongoose');
+
+const MAX_CART_ITEMS = 20;
+const MAX_ITEM_QUANTITY = 10;
+const GUEST_CART_TTL_DAYS = 30;
+
+const cartItemSchema = new mongoose.Schema({
+  dress: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dress',
+    required: [true, 'Dress is required']
+  },
+  size: {
+    type: String,
+    trim: true
+  },
+  color: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  quantity: {
+    type: Number,
+    default: 1,
+    min: [1, 'Quantity must be at least 1'],
+    max: [MAX_ITEM_QUANTITY, `Quantity cannot exceed ${MAX_ITEM_QUANTITY}`]
+  }
+}, {
+  timestamps: { createdAt: 'addedAt', updatedAt: false }
+});
+
+// Server-side enquiry cart. Belongs either to a logged-in user or to a guest
+// identified by the random `sessionId` the client sends back as X-Cart-Id.
+const enquiryCartSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: undefined
+  },
+  sessionId: {
+    type: String,
+    default: undefined
+  },
+  items: {
+    type: [cartItemSchema],
+    validate: {
+      validator: (v) => v.length <= MAX_CART_ITEMS,
+      message: `A cart can hold at most ${MAX_CART_ITEMS} items`
+    }
+  },
+  // Guest carts expire after a period of inactivity; user carts never do
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+enquiryCartSchema.index({ user: 1 }, { unique: true, sparse: true });
+enquiryCartSchema.index({ sessionId: 1 }, { unique: true, sparse: true });
+enquiryCartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Pre-save hook: push back a guest cart's expiry on every change
+enquiryCartSchema.pre('save', function(next) {
+  this.expiresAt = this.user
+    ? null
+    : new Date(Date.now() + GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000);
+  next();
+});
+
+const EnquiryCart = mongoose.model('EnquiryCart', enquiryCartSchema);
+
+module.exports = {
+  EnquiryCart,
+  MAX_CART_ITEMS,
+  MAX_ITEM_QUANTITY
+};
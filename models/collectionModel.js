@@ -0,0 +1,125 @@
+// models/collectionModel.js
+
+const mongoose = require('mongoose');
+
+const MAX_COLLECTION_DRESSES = 500;
+
+// A hand-picked set of dresses (e.g. "Wedding Season", "Under ₹999") with its
+// own banner and active dates. `dresses` is kept in display order.
+const collectionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Collection name is required'],
+    trim: true,
+    maxlength: [100, 'Collection name cannot exceed 100 characters']
+  },
+  slug: {
+    type: String,
+    unique: true,
+    lowercase: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  banner: {
+    url: String,
+    public_id: String,
+    alt: String
+  },
+  dresses: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Dress'
+    }],
+    validate: [
+      {
+        validator: (v) => v.length <= MAX_COLLECTION_DRESSES,
+        message: `A collection can hold at most ${MAX_COLLECTION_DRESSES} dresses`
+      },
+      {
+        validator: (v) => new Set(v.map(String)).size === v.length,
+        message: 'A dress can only appear once in a collection'
+      }
+    ]
+  },
+  // Shown between these dates (either may be empty = open-ended)
+  startsAt: {
+    type: Date,
+    default: null
+  },
+  endsAt: {
+    type: Date,
+    default: null,
+    validate: {
+      validator: function(v) {
+        return !v || !this.startsAt || v > this.startsAt;
+      },
+      message: 'End date must be after the start date'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Generate slug from name before saving
+collectionSchema.pre('save', function(next) {
+  if (this.isModified('name')) {
+    this.slug = this.name
+      .toLowerCase()
+      .replace(/[^a-zA-Z0-9]/g, '-')
+      .replace(/-+/g, '-')
+      .replace(/^-|-$/g, '');
+  }
+  next();
+});
+
+// Static: filter for collections the public can see right now
+collectionSchema.statics.liveFilter = function(now = new Date()) {
+  return {
+    isActive: true,
+    $and: [
+      { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+      { $or: [{ endsAt: null }, { endsAt: { $gt: now } }] }
+    ]
+  };
+};
+
+// Virtual: inactive | scheduled | live | ended
+collectionSchema.virtual('status').get(function() {
+  const now = new Date();
+  if (!this.isActive) return 'inactive';
+  if (this.startsAt && this.startsAt > now) return 'scheduled';
+  if (this.endsAt && this.endsAt <= now) return 'ended';
+  return 'live';
+});
+
+// Virtual: number of dresses (including inactive ones)
+collectionSchema.virtual('dressCount').get(function() {
+  return this.dresses ? this.dresses.length : 0;
+});
+
+collectionSchema.index({ isActive: 1, sortOrder: 1 });
+collectionSchema.index({ dresses: 1 });
+
+const Collection = mongoose.model('Collection', collectionSchema);
+module.exports = {
+  Collection,
+  MAX_COLLECTION_DRESSES
+};
@@ -0,0 +1,98 @@
+// models/couponModel.js
+
+const mongoose = require('mongoose');
+
+const COUPON_TYPES = ['percentage', 'flat'];
+
+// A campaign code (e.g. DIWALI20) customers quote in their WhatsApp enquiry.
+// Validation and pricing live in utils/coupons.js.
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Coupon code must be 3-30 letters, digits, - or _']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  type: {
+    type: String,
+    enum: COUPON_TYPES,
+    required: [true, 'Coupon type is required']
+  },
+  value: {
+    type: Number,
+    required: [true, 'Coupon value is required'],
+    min: [0, 'Coupon value cannot be negative'],
+    validate: {
+      validator: function(v) {
+        return this.type !== 'percentage' || v <= 100;
+      },
+      message: 'A percentage coupon cannot exceed 100%'
+    }
+  },
+  // Cap on the discount of a percentage coupon
+  maxDiscount: {
+    type: Number,
+    min: [0, 'Maximum discount cannot be negative'],
+    default: null
+  },
+  // Minimum value of the eligible dresses for the coupon to apply
+  minOrderValue: {
+    type: Number,
+    min: [0, 'Minimum value cannot be negative'],
+    default: 0
+  },
+  // Empty = every category; otherwise these categories and their subcategories
+  categories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  startsAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null,
+    validate: {
+      validator: function(v) {
+        return !v || !this.startsAt || v > this.startsAt;
+      },
+      message: 'Expiry must be after the start date'
+    }
+  },
+  // Total number of enquiries that may use the code (null = unlimited)
+  usageLimit: {
+    type: Number,
+    min: [1, 'Usage limit must be at least 1'],
+    default: null
+  },
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+module.exports = {
+  Coupon,
+  COUPON_TYPES
+};
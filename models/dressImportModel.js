@@ -0,0 +1,62 @@
+// models/dressImportModel.js
+
+const mongoose = require('mongoose');
+
+// What a row did (or would do, for a dry run); null when it failed
+const IMPORT_ROW_ACTIONS = ['create', 'update', 'unchanged'];
+
+// One run of the bulk dress import (POST /api/dresses/import), dry run or
+// real, with a result per CSV row. Kept so the report can be downloaded later.
+const dressImportSchema = new mongoose.Schema({
+  filename: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  counts: {
+    total: { type: Number, default: 0 },
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    unchanged: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  rows: [{
+    _id: false,
+    row: { type: Number, required: true }, // line in the sheet; the header is row 1
+    sku: { type: String, default: '' },
+    name: { type: String, default: '' },
+    action: { type: String, enum: [...IMPORT_ROW_ACTIONS, null], default: null },
+    status: { type: String, enum: ['ok', 'error'], required: true },
+    issues: [{ // validation errors of the row
+      _id: false,
+      field: { type: String, default: '' },
+      message: { type: String, required: true }
+    }],
+    dress: { type: mongoose.Schema.Types.ObjectId, ref: 'Dress', default: null }
+  }],
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+dressImportSchema.index({ createdAt: -1 });
+
+const DressImport = mongoose.model('DressImport', dressImportSchema);
+
+module.exports = {
+  DressImport,
+  IMPORT_ROW_ACTIONS
+};
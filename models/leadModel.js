@@ -0,0 +1,105 @@
+// models/leadModel.js
+
+const mongoose = require('mongoose');
+
+// A WhatsApp enquiry click recorded by GET /api/dress/:id/enquire before the
+// customer is redirected to wa.me
+const leadSchema = new mongoose.Schema({
+  dress: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dress',
+    required: [true, 'Dress is required']
+  },
+  size: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'Size cannot exceed 20 characters']
+  },
+  color: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Colour cannot exceed 50 characters']
+  },
+  whatsappNumber: {
+    type: String
+  },
+  agent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SalesAgent',
+    default: null
+  },
+  referrer: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Referrer cannot exceed 500 characters']
+  },
+  source: {
+    type: String, // campaign tag from ?source= / ?utm_source=
+    trim: true,
+    maxlength: [100, 'Source cannot exceed 100 characters']
+  },
+  coupon: {
+    type: String, // coupon code quoted in the enquiry, if valid
+    default: null
+  },
+  // Leads recorded together by one cart enquiry share this id; a quoted
+  // coupon is used up once per enquiry, when one of its leads is converted
+  enquiry: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  couponRedeemed: {
+    type: Boolean,
+    default: false
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['new', 'followed-up', 'converted'],
+    default: 'new'
+  },
+  followedUpAt: {
+    type: Date,
+    default: null
+  },
+  followedUpBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  convertedAt: {
+    type: Date,
+    default: null
+  },
+  convertedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  }
+}, {
+  timestamps: true
+});
+
+leadSchema.index({ createdAt: -1 });
+leadSchema.index({ dress: 1, createdAt: -1 });
+leadSchema.index({ status: 1, createdAt: -1 });
+leadSchema.index({ agent: 1, createdAt: -1 });
+leadSchema.index({ enquiry: 1 });
+
+const Lead = mongoose.model('Lead', leadSchema);
+module.exports = Lead;
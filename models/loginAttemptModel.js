@@ -0,0 +1,35 @@
+// models/loginAttemptModel.js
+
+const mongoose = require('mongoose');
+
+// Failed-login counter per client IP. Documents expire on their own once the
+// counting window (or lockout) is over.
+const loginAttemptSchema = new mongoose.Schema({
+  ip: {
+    type: String,
+    required: [true, 'IP is required'],
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailedAt: {
+    type: Date
+  },
+  lockUntil: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  }
+}, {
+  timestamps: true
+});
+
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+module.exports = LoginAttempt;
@@ -1,16 +1,106 @@
 // models/model.js
 
 const mongoose = require('mongoose');
+const {
+  DEFAULT_TEMPLATE,
+  LEGACY_DEFAULT_MESSAGE,
+  validateTemplate,
+  renderTemplate,
+  buildContext,
+  usesVariable
+} = require('../utils/whatsappTemplate');
+const { getSetting, getCachedSetting } = require('../utils/settings');
+const { loadPromotions, bestPromotion, promotionSummary } = require('../utils/promotions');
+const { TRANSLATION_LOCALES } = require('../config/locales');
+const { translatedField } = require('../utils/locale');
+
+// Schema validator for WhatsApp templates (rejects unknown placeholders)
+const whatsappTemplateValidator = {
+  validator: function(v) {
+    return !v || validateTemplate(v).valid;
+  },
+  message: (props) => validateTemplate(props.value).errors.join('; ')
+};
+
+// `translations` sub-document: one entry per non-default locale
+// (translations.hi.name, ...) holding translated copies of `fields`
+const translationsSchema = (fields) => new mongoose.Schema(
+  Object.fromEntries(TRANSLATION_LOCALES.map((locale) => [
+    locale,
+    { type: new mongoose.Schema(fields, { _id: false }), default: () => ({}) }
+  ])),
+  { _id: false }
+);
+
+// Soft delete for dresses and categories. Deleting sets `deletedAt` (the item
+// is "in the trash"); trashed documents are left out of every query and
+// aggregation unless the filter mentions `deletedAt` or the query is run with
+// { withDeleted: true }. The purge job (utils/trash.js) removes them for good.
+const TRASH_QUERY_HOOKS = [
+  'find', 'findOne', 'findOneAndUpdate', 'findOneAndDelete',
+  'countDocuments', 'distinct', 'updateOne', 'updateMany'
+];
+
+const trashable = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  });
+  schema.index({ deletedAt: 1 });
+
+  schema.pre(TRASH_QUERY_HOOKS, function() {
+    if (this.getOptions().withDeleted || 'deletedAt' in this.getFilter()) return;
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function() {
+    const [first] = this.pipeline();
+    if (first && first.$match && 'deletedAt' in first.$match) return;
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+
+  // Instance method: move to the trash
+  schema.methods.moveToTrash = function(userId) {
+    this.deletedAt = new Date();
+    this.deletedBy = userId || null;
+    return this.save();
+  };
+
+  // Instance method: take out of the trash
+  schema.methods.restoreFromTrash = function() {
+    this.deletedAt = null;
+    this.deletedBy = null;
+    return this.save();
+  };
+};
 
 // =====================
 // CATEGORY SCHEMA
 // =====================
 
+// Categories nest (e.g. Women > Ethnic > Sarees). Each one stores its
+// `ancestors` (root first) and its slug `path` ("women/ethnic/sarees"), both
+// kept up to date on save, so subtree and breadcrumb lookups are one query.
+const MAX_CATEGORY_DEPTH = 5;
+
+const slugify = (name) =>
+  name
+    .toLowerCase()
+    .replace(/[^a-zA-Z0-9]/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '');
+
 const categorySchema = new mongoose.Schema({
   name: {
     type: String,
     required: [true, 'Category name is required'],
-    unique: true,
     trim: true,
     maxlength: [50, 'Category name cannot exceed 50 characters']
   },
@@ -19,6 +109,17 @@ const categorySchema = new mongoose.Schema({
     trim: true,
     maxlength: [200, 'Description cannot exceed 200 characters']
   },
+  // Translated name per locale (see config/locales.js)
+  translations: {
+    type: translationsSchema({
+      name: {
+        type: String,
+        trim: true,
+        maxlength: [50, 'Category name cannot exceed 50 characters']
+      }
+    }),
+    default: () => ({})
+  },
   image: {
     url: {
       type: String,
@@ -31,7 +132,19 @@ const categorySchema = new mongoose.Schema({
   },
   slug: {
     type: String,
-    unique: true,
+    lowercase: true
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  path: {
+    type: String,
     lowercase: true
   },
   isActive: {
@@ -41,25 +154,148 @@ const categorySchema = new mongoose.Schema({
   sortOrder: {
     type: Number,
     default: 0
+  },
+  // Default WhatsApp message for dresses in this category (see utils/whatsappTemplate.js)
+  whatsappTemplate: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'WhatsApp message template cannot exceed 500 characters'],
+    validate: whatsappTemplateValidator
   }
 }, {
   timestamps: true
 });
 
-// Generate slug from name before saving
-categorySchema.pre('save', function(next) {
-  if (this.isModified('name')) {
-    this.slug = this.name
-      .toLowerCase()
-      .replace(/[^a-zA-Z0-9]/g, '-')
-      .replace(/-+/g, '-')
-      .replace(/^-|-$/g, '');
+// Generate slug from name, then place the category under its parent:
+// rejects cycles and trees deeper than MAX_CATEGORY_DEPTH
+categorySchema.pre('validate', async function() {
+  if (this.isModified('name') || !this.slug) {
+    this.slug = slugify(this.name || '');
   }
-  next();
+  if (!this.isNew && !this.isModified('parent') && !this.isModified('slug') && this.path) {
+    return;
+  }
+
+  let parent = null;
+  if (this.parent) {
+    parent = await this.constructor.findById(this.parent).select('slug path ancestors');
+    if (!parent) {
+      this.invalidate('parent', 'Parent category not found');
+      return;
+    }
+    if (parent._id.equals(this._id) || parent.ancestors.some((a) => a.equals(this._id))) {
+      this.invalidate('parent', 'A category cannot be placed under itself or one of its subcategories');
+      return;
+    }
+  }
+
+  // Depth of the deepest subcategory below this one (0 for a leaf), counting
+  // trashed ones so they still fit when restored
+  let subtreeDepth = 0;
+  if (!this.isNew) {
+    const descendants = await this.constructor.find({ ancestors: this._id }, null, { withDeleted: true })
+      .select('ancestors');
+    const ownDepth = this.ancestors.length;
+    descendants.forEach((d) => {
+      subtreeDepth = Math.max(subtreeDepth, d.ancestors.length - ownDepth);
+    });
+  }
+  const depth = (parent ? parent.ancestors.length + 1 : 0) + subtreeDepth;
+  if (depth >= MAX_CATEGORY_DEPTH) {
+    this.invalidate('parent', `Categories can be nested at most ${MAX_CATEGORY_DEPTH} levels deep`);
+    return;
+  }
+
+  this.ancestors = parent ? [...parent.ancestors, parent._id] : [];
+  this.path = parent ? `${parent.path || parent.slug}/${this.slug}` : this.slug;
+  this.$locals.pathChanged = !this.isNew;
 });
 
+// After a category is renamed or moved, rebuild its subcategories' paths
+// (trashed ones included)
+categorySchema.post('save', async function() {
+  if (!this.$locals.pathChanged) return;
+  this.$locals.pathChanged = false;
+
+  const descendants = await this.constructor.find({ ancestors: this._id }, null, { withDeleted: true })
+    .select('parent slug');
+  const byParent = new Map();
+  descendants.forEach((d) => {
+    const key = String(d.parent);
+    if (!byParent.has(key)) byParent.set(key, []);
+    byParent.get(key).push(d);
+  });
+
+  const ops = [];
+  const visit = (node) => {
+    (byParent.get(String(node._id)) || []).forEach((child) => {
+      const ancestors = [...node.ancestors, node._id];
+      const path = `${node.path}/${child.slug}`;
+      ops.push({ updateOne: { filter: { _id: child._id }, update: { ancestors, path } } });
+      visit({ _id: child._id, ancestors, path });
+    });
+  };
+  visit(this);
+
+  if (ops.length > 0) await this.constructor.bulkWrite(ops);
+});
+
+// Static: find a category by id, slug path ("women/ethnic") or plain slug
+categorySchema.statics.findByIdentifier = async function(identifier, filter = {}) {
+  const value = String(identifier);
+  if (/^[0-9a-fA-F]{24}$/.test(value)) {
+    return this.findOne({ _id: value, ...filter });
+  }
+
+  const path = value.toLowerCase().replace(/^\/+|\/+$/g, '');
+  const byPath = await this.findOne({ path, ...filter });
+  if (byPath || path.includes('/')) return byPath;
+  return this.findOne({ slug: path, ...filter });
+};
+
+// Static: ids of a category and every category below it
+categorySchema.statics.subtreeIds = async function(categoryId, filter = {}) {
+  const descendants = await this.find({ ancestors: categoryId, ...filter }).distinct('_id');
+  return [new mongoose.Types.ObjectId(String(categoryId)), ...descendants];
+};
+
+// Static: nest a flat list of categories into a tree ({ ...category, children })
+categorySchema.statics.buildTree = function(categories) {
+  const nodes = new Map(
+    categories.map((c) => [String(c._id), { ...(c.toObject ? c.toObject() : c), children: [] }])
+  );
+  const roots = [];
+  nodes.forEach((node) => {
+    const parent = node.parent && nodes.get(String(node.parent));
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  });
+  return roots;
+};
+
+// Instance method: root-to-self trail of { _id, name, slug, path }, with
+// names in `locale` when given
+categorySchema.methods.breadcrumbs = async function(locale) {
+  const ancestors = await this.constructor.find({ _id: { $in: this.ancestors || [] } })
+    .select('name slug path translations');
+  const byId = new Map(ancestors.map((a) => [String(a._id), a]));
+  return [...(this.ancestors || []).map((id) => byId.get(String(id))).filter(Boolean), this]
+    .map((c) => ({
+      _id: c._id,
+      name: translatedField(c, 'name', locale),
+      slug: c.slug,
+      path: c.path || c.slug
+    }));
+};
+
 // Index for active categories sorted by sortOrder
 categorySchema.index({ isActive: 1, sortOrder: 1 });
+// Names / slugs only need to be unique among siblings
+categorySchema.index({ parent: 1, slug: 1 }, { unique: true });
+categorySchema.index({ path: 1 }, { unique: true, sparse: true });
+categorySchema.index({ ancestors: 1 });
+
+trashable(categorySchema);
 
 const Category = mongoose.model('Category', categorySchema);
 
@@ -67,6 +303,54 @@ const Category = mongoose.model('Category', categorySchema);
 // DRESS SCHEMA
 // =====================
 
+const SIZE_OPTIONS = ['XS', 'S', 'M', 'L', 'XL', 'XXL', 'Free Size', 'Custom'];
+
+// Publication workflow. `status` is the editor's intent; whether a dress is
+// visible right now also depends on its publishAt / unpublishAt window, which
+// is checked at query time (Dress.liveFilter()) rather than by a job.
+//    - draft:     work in progress, only visible to admins (preview)
+//    - scheduled: goes live at publishAt
+//    - published: live (until unpublishAt, when set)
+//    - archived:  taken off the catalog
+const PUBLICATION_STATUSES = ['draft', 'scheduled', 'published', 'archived'];
+const HIDDEN_STATUSES = ['draft', 'archived'];
+
+// One sellable size × colour combination with its own stock, SKU and
+// optional price override
+const variantSchema = new mongoose.Schema({
+  size: {
+    type: String,
+    required: [true, 'Variant size is required'],
+    enum: SIZE_OPTIONS
+  },
+  color: {
+    type: String, // colour name; '' when the dress comes in a single colour
+    trim: true,
+    default: ''
+  },
+  colorCode: {
+    type: String // e.g. '#FF0000'
+  },
+  stock: {
+    type: Number,
+    default: 0,
+    min: [0, 'Stock cannot be negative']
+  },
+  available: {
+    type: Boolean,
+    default: true
+  },
+  price: {
+    type: Number, // overrides the dress's effective price when set
+    min: [0, 'Variant price cannot be negative'],
+    default: null
+  },
+  sku: {
+    type: String,
+    trim: true
+  }
+});
+
 const dressSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -121,7 +405,7 @@ const dressSchema = new mongoose.Schema({
     size: {
       type: String,
       required: [true, 'Size is required'],
-      enum: ['XS', 'S', 'M', 'L', 'XL', 'XXL', 'Free Size', 'Custom']
+      enum: SIZE_OPTIONS
     },
     available: {
       type: Boolean,
@@ -147,6 +431,18 @@ const dressSchema = new mongoose.Schema({
       default: true
     }
   }],
+  // Size × colour matrix. When present, `sizes` and `colors` above are derived
+  // from it on save and kept only for backwards compatibility.
+  variants: {
+    type: [variantSchema],
+    validate: {
+      validator: function(variants) {
+        const keys = variants.map((v) => `${v.size}|${(v.color || '').toLowerCase()}`);
+        return new Set(keys).size === keys.length;
+      },
+      message: 'Each size / colour combination may only appear once in variants'
+    }
+  },
   material: {
     type: String,
     trim: true,
@@ -157,6 +453,28 @@ const dressSchema = new mongoose.Schema({
     trim: true,
     maxlength: [500, 'Care instructions cannot exceed 500 characters']
   },
+  // Translated name / description / care instructions per locale
+  // (see config/locales.js)
+  translations: {
+    type: translationsSchema({
+      name: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Dress name cannot exceed 100 characters']
+      },
+      description: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Description cannot exceed 1000 characters']
+      },
+      careInstructions: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Care instructions cannot exceed 500 characters']
+      }
+    }),
+    default: () => ({})
+  },
   tags: [{
     type: String,
     trim: true,
@@ -168,10 +486,36 @@ const dressSchema = new mongoose.Schema({
     sparse: true,
     trim: true
   },
+  // Kept in step with `status`: false for drafts and archived dresses
   isActive: {
     type: Boolean,
     default: true
   },
+  status: {
+    type: String,
+    enum: PUBLICATION_STATUSES,
+    default: 'published',
+    validate: {
+      validator: function(v) {
+        return v !== 'scheduled' || Boolean(this.publishAt);
+      },
+      message: 'A scheduled dress needs a publishAt date'
+    }
+  },
+  publishAt: {
+    type: Date,
+    default: null
+  },
+  unpublishAt: {
+    type: Date,
+    default: null,
+    validate: {
+      validator: function(v) {
+        return !v || !this.publishAt || v > this.publishAt;
+      },
+      message: 'unpublishAt must be after publishAt'
+    }
+  },
   isFeatured: {
     type: Boolean,
     default: false
@@ -180,21 +524,31 @@ const dressSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Optional override; when empty, enquiries are routed to a sales agent
+  // (see utils/agentRouting.js)
   whatsappNumber: {
     type: String,
-    required: [true, 'WhatsApp number is required for orders'],
+    trim: true,
     validate: {
       validator: function(v) {
         // E.164 format (e.g. +911234567890)
-        return /^\+?[1-9]\d{1,14}$/.test(v);
+        return !v || /^\+?[1-9]\d{1,14}$/.test(v);
       },
       message: 'Please enter a valid WhatsApp number (with country code)'
     }
   },
+  // Per-dress template override; empty = use the category / store template
   whatsappMessage: {
     type: String,
-    default: 'Hi! I am interested in this dress: {dressName}. Please provide more details about pricing, availability, and delivery.',
-    maxlength: [500, 'WhatsApp message template cannot exceed 500 characters']
+    default: null,
+    maxlength: [500, 'WhatsApp message template cannot exceed 500 characters'],
+    validate: whatsappTemplateValidator
+  },
+  // Per-dress low-stock alert level; falls back to LOW_STOCK_THRESHOLD when unset
+  lowStockThreshold: {
+    type: Number,
+    min: [0, 'Low-stock threshold cannot be negative'],
+    default: null
   },
   views: {
     type: Number,
@@ -222,42 +576,287 @@ dressSchema.index({ isFeatured: 1, isActive: 1 });
 dressSchema.index({ 'price.original': 1 });
 dressSchema.index({ createdAt: -1 });
 dressSchema.index({ tags: 1 });
+dressSchema.index({ 'variants.size': 1, 'variants.color': 1 });
+dressSchema.index({ 'variants.sku': 1 });
+dressSchema.index({ isActive: 1, publishAt: 1, unpublishAt: 1 });
+
+// What "can be sold" means for a variant (or legacy size entry): listed as
+// available and with stock left. Shared by the catalog filters (as a query),
+// the cart / enquiry checks and the legacy lists below.
+const SELLABLE_MATCH = { available: true, stock: { $gt: 0 } };
+const isSellable = (entry) => Boolean(entry && entry.available && entry.stock > 0);
+
+// Build the legacy `sizes` / `colors` lists from a variant matrix
+const deriveLegacyLists = (variants) => {
+  const sizes = new Map();
+  const colors = new Map();
+  variants.forEach((v) => {
+    const sellable = isSellable(v);
+
+    const size = sizes.get(v.size) || { size: v.size, available: false, stock: 0 };
+    size.stock += v.stock;
+    size.available = size.available || sellable;
+    sizes.set(v.size, size);
+
+    if (v.color) {
+      const key = v.color.toLowerCase();
+      const color = colors.get(key) || { name: v.color, code: v.colorCode || '', available: false };
+      color.available = color.available || sellable;
+      if (!color.code && v.colorCode) color.code = v.colorCode;
+      colors.set(key, color);
+    }
+  });
+
+  return {
+    sizes: [...sizes.values()],
+    // Colour code is required on the legacy list; fall back to the name
+    colors: [...colors.values()].map((c) => ({ ...c, code: c.code || c.name }))
+  };
+};
+
+// Turn a size / colour into an uppercase SKU segment ("Free Size" -> "FREESIZE")
+const skuPart = (value) => String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+trashable(dressSchema);
+
+// Keep isActive in step with the status. Clients that only know isActive
+// move a dress between published and archived.
+dressSchema.pre('validate', function() {
+  if (this.isNew || this.isModified('status')) {
+    this.isActive = !HIDDEN_STATUSES.includes(this.status);
+  } else if (this.isModified('isActive')) {
+    if (this.isActive && HIDDEN_STATUSES.includes(this.status)) {
+      this.status = this.publishAt ? 'scheduled' : 'published';
+    } else if (!this.isActive && !HIDDEN_STATUSES.includes(this.status)) {
+      this.status = 'archived';
+    }
+  }
+});
+
+// Static: filter for dresses the public can see right now — neither draft nor
+// archived, and inside their publishAt / unpublishAt window
+dressSchema.statics.liveFilter = function(now = new Date()) {
+  return {
+    isActive: true,
+    $and: [
+      { $or: [{ publishAt: null }, { publishAt: { $lte: now } }] },
+      { $or: [{ unpublishAt: null }, { unpublishAt: { $gt: now } }] }
+    ]
+  };
+};
+
+// Static: filter for dresses whose effectiveStatus is `status` right now
+dressSchema.statics.statusFilter = function(status, now = new Date()) {
+  switch (status) {
+    case 'draft':
+      return { isActive: false, status: 'draft' };
+    case 'scheduled':
+      return { isActive: true, publishAt: { $gt: now } };
+    case 'published':
+      return this.liveFilter(now);
+    case 'archived':
+      return {
+        $or: [
+          { isActive: false, status: { $ne: 'draft' } },
+          { isActive: true, unpublishAt: { $lte: now } }
+        ]
+      };
+    default:
+      return null;
+  }
+};
+
+// Instance method: whether the public can see the dress right now
+dressSchema.methods.isLive = function(now = new Date()) {
+  return this.effectiveStatusAt(now) === 'published';
+};
+
+// Instance method: draft | scheduled | published | archived at a given time
+dressSchema.methods.effectiveStatusAt = function(now = new Date()) {
+  if (!this.isActive) return this.status === 'draft' ? 'draft' : 'archived';
+  if (this.publishAt && this.publishAt > now) return 'scheduled';
+  if (this.unpublishAt && this.unpublishAt <= now) return 'archived';
+  return 'published';
+};
+
+// Virtual: the status the public sees right now (a scheduled dress past its
+// publishAt is published; one past its unpublishAt is archived)
+dressSchema.virtual('effectiveStatus').get(function() {
+  return this.effectiveStatusAt();
+});
 
 // Pre-save hook: auto-generate a SKU if not provided
 dressSchema.pre('save', async function(next) {
   if (!this.sku && this.isNew) {
-    const count = await this.constructor.countDocuments();
+    const count = await this.constructor.countDocuments({}, { withDeleted: true });
     this.sku = `DRESS${String(count + 1).padStart(4, '0')}`; 
   }
   next();
 });
 
-// Virtual: compute discount percentage
+// Pre-save hook: fill in variant SKUs and derive the legacy sizes / colors
+// lists from the variant matrix so older clients keep working
+dressSchema.pre('save', function(next) {
+  if (!this.isModified('variants') || this.variants.length === 0) return next();
+
+  this.variants.forEach((v) => {
+    if (!v.sku) {
+      v.sku = [this.sku, skuPart(v.size), skuPart(v.color)].filter(Boolean).join('-');
+    }
+  });
+
+  const { sizes, colors } = deriveLegacyLists(this.variants);
+  this.sizes = sizes;
+  this.colors = colors;
+  next();
+});
+
+// Instance method: find the variant for a size / colour (colour is case-insensitive)
+dressSchema.methods.findVariant = function(size, color) {
+  return this.variants.find(
+    (v) =>
+      v.size === size &&
+      (v.color || '').toLowerCase() === String(color || '').toLowerCase()
+  ) || null;
+};
+
+// Instance method: price of a single variant (its override, else the dress
+// price); running promotions apply to overrides too
+dressSchema.methods.variantPrice = function(variant) {
+  if (!variant || variant.price == null) return this.effectivePrice;
+  const best = bestPromotion(this, variant.price);
+  return best && best.price < variant.price ? best.price : variant.price;
+};
+
+// Instance method: size × colour availability grid for product pages
+dressSchema.methods.variantMatrix = function() {
+  const sizes = [...new Set(this.variants.map((v) => v.size))]
+    .sort((a, b) => SIZE_OPTIONS.indexOf(a) - SIZE_OPTIONS.indexOf(b));
+  const colors = [...new Set(this.variants.map((v) => v.color))];
+
+  const matrix = {};
+  sizes.forEach((size) => {
+    matrix[size] = {};
+    colors.forEach((color) => {
+      const v = this.findVariant(size, color);
+      matrix[size][color] = v
+        ? {
+            sku: v.sku,
+            stock: v.stock,
+            available: isSellable(v),
+            price: this.variantPrice(v)
+          }
+        : null;
+    });
+  });
+
+  return { sizes, colors, matrix };
+};
+
+// Virtual: compute discount percentage (manual discount or running promotion)
 dressSchema.virtual('discountPercentage').get(function() {
-  if (this.price.discounted && this.price.original > 0) {
-    return Math.round(
-      ((this.price.original - this.price.discounted) / this.price.original) * 100
-    );
+  const effective = this.effectivePrice;
+  if (effective < this.price.original && this.price.original > 0) {
+    return Math.round(((this.price.original - effective) / this.price.original) * 100);
   }
   return 0;
 });
 
-// Virtual: effective price (discounted or original)
+// Virtual: effective price — the lower of the dress's own price (discounted
+// or original) and the best running promotion (see utils/promotions.js)
 dressSchema.virtual('effectivePrice').get(function() {
-  return this.price.discounted || this.price.original;
+  if (!this.price) return undefined;
+  const own = this.price.discounted || this.price.original;
+  const best = bestPromotion(this);
+  return best && best.price < own ? best.price : own;
+});
+
+// Virtual: the running promotion behind effectivePrice, if any
+dressSchema.virtual('activePromotion').get(function() {
+  if (!this.price) return null;
+  const own = this.price.discounted || this.price.original;
+  const best = bestPromotion(this);
+  return best && best.price < own ? promotionSummary(best.promotion) : null;
 });
 
+// Keep the promotion cache fresh before dresses are read, so the virtuals
+// above see promotions that started or ended since the last query
+dressSchema.pre(['find', 'findOne', 'findOneAndUpdate'], async function() {
+  await loadPromotions();
+});
+
+// Instance method: the dress's own template, ignoring the pre-template default
+dressSchema.methods.customWhatsappTemplate = function() {
+  return this.whatsappMessage && this.whatsappMessage !== LEGACY_DEFAULT_MESSAGE
+    ? this.whatsappMessage
+    : null;
+};
+
+// Instance method: render the WhatsApp message for this dress, optionally for
+// a chosen size / colour and an applied coupon ({ code, price }). Synchronous,
+// so it uses whatever is at hand: a populated category and the cached store
+// template. Use resolveWhatsappMessage() when the message must be exact.
+//    options: { template, category, storeTemplate }
+dressSchema.methods.buildWhatsappMessage = function(selection = {}, options = {}) {
+  const category = options.category ||
+    (this.category && this.category.name ? this.category : null);
+  const template = options.template ||
+    this.customWhatsappTemplate() ||
+    (category && category.whatsappTemplate) ||
+    options.storeTemplate ||
+    getCachedSetting('whatsappTemplate') ||
+    DEFAULT_TEMPLATE;
+
+  let message = renderTemplate(template, buildContext(this, category, selection));
+
+  // Templates that don't mention size / colour / coupon still show them
+  const extra = [
+    selection.size && !usesVariable(template, 'size') && `Size: ${selection.size}`,
+    selection.color && !usesVariable(template, 'color') && `Colour: ${selection.color}`
+  ].filter(Boolean);
+  if (extra.length > 0) message += `\n${extra.join(', ')}`;
+  if (selection.coupon && !usesVariable(template, 'couponCode')) {
+    message += `\nCoupon: ${selection.coupon.code}`;
+  }
+  return message;
+};
+
+// Instance method: like buildWhatsappMessage(), but loads the category and the
+// store-wide template first. `template` previews an unsaved template.
+dressSchema.methods.resolveWhatsappMessage = async function(selection = {}, { template } = {}) {
+  const categoryId = this.category && this.category._id ? this.category._id : this.category;
+  let category = await Category.findById(categoryId).select('name slug whatsappTemplate ancestors');
+
+  // Subcategories without a template inherit the nearest ancestor's
+  if (category && !category.whatsappTemplate && category.ancestors.length > 0) {
+    const withTemplate = await Category.find({
+      _id: { $in: category.ancestors },
+      whatsappTemplate: { $nin: [null, ''] }
+    }).select('whatsappTemplate ancestors');
+    const nearest = withTemplate.sort((a, b) => b.ancestors.length - a.ancestors.length)[0];
+    if (nearest) {
+      category = { name: category.name, whatsappTemplate: nearest.whatsappTemplate };
+    }
+  }
+
+  const storeTemplate = await getSetting('whatsappTemplate');
+  return this.buildWhatsappMessage(selection, { template, category, storeTemplate });
+};
+
+// Instance method: wa.me link for this dress.
+// `number` is the routed agent's number; defaults to the dress override or
+// the store number. `message` defaults to buildWhatsappMessage(selection).
+dressSchema.methods.buildWhatsappLink = function(selection, number, message) {
+  const target = number || this.whatsappNumber || process.env.STORE_WHATSAPP_NUMBER;
+  if (!target) return null;
+  const cleanNumber = target.replace(/[\s+]/g, '');
+  const encodedMessage = encodeURIComponent(message || this.buildWhatsappMessage(selection));
+  return `https://wa.me/${cleanNumber}?text=${encodedMessage}`;
+};
+
 // Virtual: generate a WhatsApp link
 dressSchema.virtual('whatsappLink').get(function() {
-  if (!this.whatsappNumber) return null;
-  const cleanNumber = this.whatsappNumber.replace(/[\s+]/g, '');
-  const message = this.whatsappMessage
-    .replace('{dressName}', this.name)
-    .replace('{dressPrice}', `₹${this.effectivePrice}`)
-    .replace('{dressSKU}', this.sku || '')
-    .replace('{dressCategory}', this.category?.name || '');
-  const encodedMessage = encodeURIComponent(message);
-  return `https://wa.me/${cleanNumber}?text=${encodedMessage}`;
+  return this.buildWhatsappLink();
 });
 
 // Ensure virtuals are included when converting to JSON / Object
@@ -268,5 +867,11 @@ const Dress = mongoose.model('Dress', dressSchema);
 
 module.exports = {
   Category,
-  Dress
+  MAX_CATEGORY_DEPTH,
+  Dress,
+  SIZE_OPTIONS,
+  PUBLICATION_STATUSES,
+  deriveLegacyLists,
+  SELLABLE_MATCH,
+  isSellable
 };
@@ -0,0 +1,110 @@
+// models/promotionModel.js
+
+const mongoose = require('mongoose');
+
+const PROMOTION_TYPES = ['percentage', 'flat'];
+
+// A time-boxed discount rule. It applies to every dress in the target
+// categories (including subcategories), with any of the target tags, or listed
+// individually — or to the whole store with `storeWide`. Prices are computed
+// at read time (see utils/promotions.js), so nothing is written to dresses
+// when a promotion starts or ends.
+const promotionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Promotion name is required'],
+    trim: true,
+    maxlength: [100, 'Promotion name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  type: {
+    type: String,
+    enum: PROMOTION_TYPES,
+    required: [true, 'Promotion type is required']
+  },
+  value: {
+    type: Number,
+    required: [true, 'Promotion value is required'],
+    min: [0, 'Promotion value cannot be negative'],
+    validate: {
+      validator: function(v) {
+        return this.type !== 'percentage' || v <= 100;
+      },
+      message: 'A percentage promotion cannot exceed 100%'
+    }
+  },
+  storeWide: {
+    type: Boolean,
+    default: false
+  },
+  categories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  dresses: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dress'
+  }],
+  startsAt: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  endsAt: {
+    type: Date,
+    required: [true, 'End time is required'],
+    validate: {
+      validator: function(v) {
+        return !this.startsAt || v > this.startsAt;
+      },
+      message: 'End time must be after the start time'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// A promotion must target something
+promotionSchema.pre('validate', function(next) {
+  if (!this.storeWide && this.categories.length === 0 && this.tags.length === 0 && this.dresses.length === 0) {
+    this.invalidate('categories', 'Target at least one category, tag or dress, or make the promotion store-wide');
+  }
+  next();
+});
+
+// Virtual: inactive | scheduled | running | ended
+promotionSchema.virtual('status').get(function() {
+  const now = new Date();
+  if (!this.isActive) return 'inactive';
+  if (this.startsAt > now) return 'scheduled';
+  if (this.endsAt <= now) return 'ended';
+  return 'running';
+});
+
+promotionSchema.index({ isActive: 1, startsAt: 1, endsAt: 1 });
+
+const Promotion = mongoose.model('Promotion', promotionSchema);
+
+module.exports = {
+  Promotion,
+  PROMOTION_TYPES
+};
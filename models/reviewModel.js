@@ -0,0 +1,124 @@
+// models/reviewModel.js
+
+const mongoose = require('mongoose');
+
+// Customer review of a dress. Only `approved` reviews are public and count
+// towards Dress.rating; every save / delete recalculates that aggregate.
+const reviewSchema = new mongoose.Schema({
+  dress: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dress',
+    required: [true, 'Dress is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Rating must be a whole number of stars'
+    }
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Review title cannot exceed 100 characters']
+  },
+  text: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Review text cannot exceed 2000 characters']
+  },
+  photos: {
+    type: [{
+      url: {
+        type: String,
+        required: [true, 'Photo URL is required']
+      },
+      public_id: {
+        type: String,
+        required: [true, 'Photo public_id is required']
+      }
+    }],
+    validate: {
+      validator: (v) => v.length <= 5,
+      message: 'A review can have at most 5 photos'
+    }
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'hidden'],
+    default: 'pending'
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  moderatedAt: {
+    type: Date,
+    default: null
+  },
+  moderationNote: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Moderation note cannot exceed 300 characters']
+  },
+  helpfulCount: {
+    type: Number,
+    default: 0
+  },
+  helpfulVoters: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
+}, {
+  timestamps: true
+});
+
+// One review per customer per dress
+reviewSchema.index({ dress: 1, user: 1 }, { unique: true });
+reviewSchema.index({ dress: 1, status: 1, helpfulCount: -1, createdAt: -1 });
+reviewSchema.index({ status: 1, createdAt: 1 });
+
+// Static: recompute Dress.rating from the dress's approved reviews
+reviewSchema.statics.recalculateRating = async function(dressId) {
+  const [stats] = await this.aggregate([
+    { $match: { dress: new mongoose.Types.ObjectId(dressId), status: 'approved' } },
+    { $group: { _id: '$dress', average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  await mongoose.model('Dress').updateOne(
+    { _id: dressId },
+    {
+      'rating.average': stats ? Math.round(stats.average * 10) / 10 : 0,
+      'rating.count': stats ? stats.count : 0
+    }
+  );
+};
+
+// Keep the aggregate in step with every state change
+reviewSchema.post('save', async function(doc) {
+  await doc.constructor.recalculateRating(doc.dress);
+});
+reviewSchema.post('findOneAndDelete', async function(doc) {
+  if (doc) await doc.constructor.recalculateRating(doc.dress);
+});
+
+// Voter ids stay server-side
+reviewSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.helpfulVoters;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const Review = mongoose.model('Review', reviewSchema);
+module.exports = Review;
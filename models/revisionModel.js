@@ -0,0 +1,88 @@
+// models/revisionModel.js
+
+const mongoose = require('mongoose');
+
+const REVISION_MODELS = ['Dress', 'Category'];
+const REVISION_ACTIONS = ['create', 'update', 'delete', 'restore', 'rollback', 'purge'];
+
+// Append-only audit trail of catalog changes. Each revision records who changed
+// a dress / category, the field-level diff and the document as it was right
+// after the change (used for rollback). Written by utils/audit.js.
+const revisionSchema = new mongoose.Schema({
+  model: {
+    type: String,
+    required: [true, 'Model is required'],
+    enum: REVISION_MODELS
+  },
+  document: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'model',
+    required: [true, 'Document is required']
+  },
+  version: {
+    type: Number, // 1, 2, ... per document
+    required: [true, 'Version is required']
+  },
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    enum: REVISION_ACTIONS
+  },
+  // Name at the time of the change, so the feed reads well after renames / purges
+  name: {
+    type: String
+  },
+  changes: [{
+    _id: false,
+    path: { type: String, required: true }, // e.g. "price.discounted"
+    from: { type: mongoose.Schema.Types.Mixed, default: null },
+    to: { type: mongoose.Schema.Types.Mixed, default: null }
+  }],
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Version a rollback went back to
+  rolledBackTo: {
+    type: Number,
+    default: null
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId, // null for the purge job
+    ref: 'User',
+    default: null
+  },
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+revisionSchema.index({ model: 1, document: 1, version: -1 }, { unique: true });
+revisionSchema.index({ createdAt: -1 });
+revisionSchema.index({ user: 1, createdAt: -1 });
+
+// Enforce append-only: refuse every update / delete path
+const appendOnly = function(next) {
+  next(new Error('Revisions are append-only'));
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach((op) => {
+  revisionSchema.pre(op, appendOnly);
+});
+revisionSchema.pre('save', function(next) {
+  if (!this.isNew) return next(new Error('Revisions are append-only'));
+  next();
+});
+
+const Revision = mongoose.model('Revision', revisionSchema);
+
+module.exports = {
+  Revision,
+  REVISION_MODELS,
+  REVISION_ACTIONS
+};
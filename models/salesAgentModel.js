@@ -0,0 +1,113 @@
+// models/salesAgentModel.js
+
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// A salesperson who answers WhatsApp enquiries. Enquiries are routed to agents
+// by category assignment, working hours and round-robin (see utils/agentRouting.js).
+const salesAgentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Agent name is required'],
+    trim: true,
+    maxlength: [100, 'Agent name cannot exceed 100 characters']
+  },
+  whatsappNumber: {
+    type: String,
+    required: [true, 'WhatsApp number is required'],
+    validate: {
+      validator: function(v) {
+        // E.164 format (e.g. +911234567890)
+        return /^\+?[1-9]\d{1,14}$/.test(v);
+      },
+      message: 'Please enter a valid WhatsApp number (with country code)'
+    }
+  },
+  // Empty = generalist who can take any category
+  categories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  // Empty = always available
+  workingHours: [{
+    day: {
+      type: Number, // 0 = Sunday … 6 = Saturday
+      required: [true, 'Day is required'],
+      min: 0,
+      max: 6
+    },
+    start: {
+      type: String,
+      required: [true, 'Start time is required'],
+      match: [TIME_PATTERN, 'Start time must be HH:mm']
+    },
+    end: {
+      type: String,
+      required: [true, 'End time is required'],
+      match: [TIME_PATTERN, 'End time must be HH:mm']
+    }
+  }],
+  timezone: {
+    type: String,
+    default: 'Asia/Kolkata',
+    validate: {
+      validator: function(tz) {
+        try {
+          Intl.DateTimeFormat('en-US', { timeZone: tz });
+          return true;
+        } catch (error) {
+          return false;
+        }
+      },
+      message: 'Invalid timezone'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastAssignedAt: {
+    type: Date,
+    default: null
+  },
+  assignmentCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+salesAgentSchema.index({ isActive: 1, categories: 1 });
+
+// Instance method: is the agent on shift at `date` (in the agent's timezone)?
+salesAgentSchema.methods.isOnShift = function(date = new Date()) {
+  if (this.workingHours.length === 0) return true;
+
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: this.timezone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const get = (type) => parts.find((p) => p.type === type).value;
+
+  const day = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(get('weekday'));
+  const time = `${get('hour')}:${get('minute')}`;
+
+  const previousDay = (day + 6) % 7;
+  return this.workingHours.some((slot) => {
+    if (slot.start <= slot.end) {
+      return slot.day === day && time >= slot.start && time < slot.end;
+    }
+    // Shift past midnight: the evening part falls on the slot's own day,
+    // the early-morning part on the day after
+    return (slot.day === day && time >= slot.start) ||
+      (slot.day === previousDay && time < slot.end);
+  });
+};
+
+const SalesAgent = mongoose.model('SalesAgent', salesAgentSchema);
+module.exports = SalesAgent;
@@ -0,0 +1,27 @@
+// models/settingModel.js
+
+const mongoose = require('mongoose');
+
+// Store-wide settings as key / value pairs (e.g. the default WhatsApp template).
+// Read them through utils/settings.js, which caches values in memory.
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Setting key is required'],
+    unique: true,
+    trim: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+const Setting = mongoose.model('Setting', settingSchema);
+module.exports = Setting;
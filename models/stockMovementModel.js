@@ -0,0 +1,78 @@
+// models/stockMovementModel.js
+
+const mongoose = require('mongoose');
+
+// Append-only inventory ledger. Every stock change on a dress variant (or a
+// legacy size entry) is recorded here with who made it and why; documents are
+// never updated or deleted.
+const stockMovementSchema = new mongoose.Schema({
+  dress: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dress',
+    required: [true, 'Dress is required']
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId, // null for legacy size-only stock
+    default: null
+  },
+  sku: {
+    type: String
+  },
+  size: {
+    type: String,
+    required: [true, 'Size is required']
+  },
+  color: {
+    type: String,
+    default: ''
+  },
+  type: {
+    type: String,
+    required: [true, 'Movement type is required'],
+    enum: ['restock', 'sale', 'return', 'correction']
+  },
+  quantity: {
+    type: Number, // signed change applied to stock
+    required: [true, 'Quantity is required']
+  },
+  balanceAfter: {
+    type: Number,
+    required: [true, 'Resulting balance is required']
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Reason cannot exceed 300 characters']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+stockMovementSchema.index({ dress: 1, createdAt: -1 });
+stockMovementSchema.index({ type: 1, createdAt: -1 });
+stockMovementSchema.index({ user: 1, createdAt: -1 });
+
+// Enforce append-only: refuse every update / delete path
+const appendOnly = function(next) {
+  next(new Error('Stock movements are append-only'));
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach((op) => {
+  stockMovementSchema.pre(op, appendOnly);
+});
+stockMovementSchema.pre('save', function(next) {
+  if (!this.isNew) return next(new Error('Stock movements are append-only'));
+  next();
+});
+
+const StockMovement = mongoose.model('StockMovement', stockMovementSchema);
+module.exports = StockMovement;
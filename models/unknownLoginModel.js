@@ -0,0 +1,39 @@
+// models/unknownLoginModel.js
+
+const mongoose = require('mongoose');
+
+// Failed-login counter per email address that belongs to no account. Such
+// emails are throttled and locked like real accounts (utils/loginGuard.js),
+// so the login response doesn't reveal whether an email is registered.
+// Documents expire on their own.
+const unknownLoginSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailedAt: {
+    type: Date
+  },
+  lockUntil: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  }
+}, {
+  timestamps: true
+});
+
+unknownLoginSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const UnknownLogin = mongoose.model('UnknownLogin', unknownLoginSchema);
+module.exports = UnknownLogin;
@@ -2,6 +2,7 @@
 
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES } = require('../config/permissions');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -27,13 +28,46 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ROLES,
     default: 'user'
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  // Disabled accounts can't log in and their tokens are rejected by protect()
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Brute-force protection (see utils/loginGuard.js)
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date,
+    default: null
+  },
+  lockUntil: {
+    type: Date,
+    default: null
+  },
+  // Bumped to invalidate every access token issued before the change
+  tokenVersion: {
+    type: Number,
+    default: 0
   }
 }, {
   timestamps: true
 });
 
+userSchema.index({ role: 1, isActive: 1 });
+
 // Pre-save hook: hash the password if it’s new or changed
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
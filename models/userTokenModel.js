@@ -0,0 +1,41 @@
+// models/userTokenModel.js
+
+const mongoose = require('mongoose');
+
+// Server-side record of a signed, single-use action token (password reset,
+// email verification). The JWT itself carries the `jti`; this document lets us
+// mark it as used so the same link can't be replayed.
+const userTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  purpose: {
+    type: String,
+    required: [true, 'Token purpose is required'],
+    enum: ['password-reset', 'email-verification']
+  },
+  jti: {
+    type: String,
+    required: [true, 'Token id is required'],
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+userTokenSchema.index({ user: 1, purpose: 1, usedAt: 1 });
+// Let MongoDB clean up expired tokens on its own
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const UserToken = mongoose.model('UserToken', userTokenSchema);
+module.exports = UserToken;
@@ -0,0 +1,27 @@
+// models/wishlistModel.js
+
+const mongoose = require('mongoose');
+
+// One saved dress in a customer's wishlist (one document per user × dress,
+// which keeps "most wishlisted" a simple aggregation)
+const wishlistItemSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  dress: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dress',
+    required: [true, 'Dress is required']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+wishlistItemSchema.index({ user: 1, dress: 1 }, { unique: true });
+wishlistItemSchema.index({ user: 1, createdAt: -1 });
+wishlistItemSchema.index({ dress: 1 });
+
+const WishlistItem = mongoose.model('WishlistItem', wishlistItemSchema);
+module.exports = WishlistItem;
@@ -0,0 +1,163 @@
+// routes/agents.js
+
+const express = require('express');
+const router = express.Router();
+const { Dress } = require('../models/model');
+const SalesAgent = require('../models/salesAgentModel');
+const { protect, requirePermission } = require('../middleware/auth');
+const { resolveWhatsappTarget } = require('../utils/agentRouting');
+
+// Every sales-agent route needs agent:manage
+router.use('/agents', protect, requirePermission('agent:manage'));
+
+// Fields an admin may set on an agent
+const pickAgentFields = (body) => {
+  const fields = {};
+  ['name', 'whatsappNumber', 'categories', 'workingHours', 'timezone', 'isActive'].forEach((key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+  });
+  return fields;
+};
+
+// 1) GET /api/agents
+//    All agents with their categories and whether they're on shift now
+router.get('/agents', async (req, res) => {
+  try {
+    const agents = await SalesAgent.find()
+      .populate('categories', 'name slug')
+      .sort({ isActive: -1, name: 1 })
+      .select('-__v');
+
+    const now = new Date();
+    res.json({
+      success: true,
+      count: agents.length,
+      data: agents.map((a) => ({ ...a.toObject(), onShift: a.isOnShift(now) }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sales agents',
+      error: error.message
+    });
+  }
+});
+
+// 2) GET /api/agents/route/:dressId
+//    Preview which number an enquiry for a dress would go to right now
+//    (does not advance the round-robin)
+router.get('/agents/route/:dressId', async (req, res) => {
+  try {
+    const dress = await Dress.findById(req.params.dressId).select('name category whatsappNumber');
+    if (!dress) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dress not found'
+      });
+    }
+
+    const target = await resolveWhatsappTarget(dress, { assign: false });
+    res.json({
+      success: true,
+      data: {
+        whatsappNumber: target.whatsappNumber,
+        agent: target.agent ? { _id: target.agent._id, name: target.agent.name } : null,
+        reason: dress.whatsappNumber
+          ? 'dress override'
+          : target.agent ? 'agent routing' : 'store number'
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error previewing route',
+      error: error.message
+    });
+  }
+});
+
+// 3) POST /api/agents
+//    Expects JSON { name, whatsappNumber, categories: [ids], workingHours: [{ day, start, end }], timezone }
+router.post('/agents', async (req, res) => {
+  try {
+    const agent = await SalesAgent.create(pickAgentFields(req.body));
+    res.status(201).json({
+      success: true,
+      message: 'Sales agent created successfully',
+      data: agent
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error creating sales agent',
+      error: error.message
+    });
+  }
+});
+
+// 4) PUT /api/agents/:id
+router.put('/agents/:id', async (req, res) => {
+  try {
+    const agent = await SalesAgent.findById(req.params.id);
+    if (!agent) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sales agent not found'
+      });
+    }
+
+    agent.set(pickAgentFields(req.body));
+    await agent.save();
+
+    res.json({
+      success: true,
+      message: 'Sales agent updated successfully',
+      data: agent
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error updating sales agent',
+      error: error.message
+    });
+  }
+});
+
+// 5) DELETE /api/agents/:id
+//    Past leads keep the agent id; deactivate instead to keep names in reports
+router.delete('/agents/:id', async (req, res) => {
+  try {
+    const agent = await SalesAgent.findByIdAndDelete(req.params.id);
+    if (!agent) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sales agent not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Sales agent deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting sales agent',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
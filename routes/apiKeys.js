@@ -0,0 +1,161 @@
+// routes/apiKeys.js
+
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const ApiKey = require('../models/apiKeyModel');
+const { protect, requirePermission, usersOnly } = require('../middleware/auth');
+const { API_KEY_SCOPES } = require('../config/permissions');
+const { hashToken } = require('../utils/tokens');
+
+// Managing keys needs a human admin (apikey:manage), never another API key
+router.use(protect, usersOnly, requirePermission('apikey:manage'));
+
+// ──────────────────────────────────────────────────────────────────────────────
+// 1) GET /api/api-keys
+//    List keys (never includes the key itself); ?active=true hides revoked/expired
+router.get('/', async (req, res) => {
+  try {
+    const { active } = req.query;
+
+    const filter = {};
+    if (active === 'true') {
+      filter.revokedAt = null;
+      filter.$or = [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }];
+    }
+
+    const keys = await ApiKey.find(filter)
+      .populate('createdBy', 'username email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: keys.length,
+      scopes: API_KEY_SCOPES,
+      data: keys
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching API keys',
+      error: error.message
+    });
+  }
+});
+
+// 2) POST /api/api-keys
+//    Create a key; expects JSON { name, scopes: [...], expiresAt? }.
+//    The raw key is returned ONLY in this response.
+router.post('/', async (req, res) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+
+    if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide name and a non-empty scopes array'
+      });
+    }
+
+    const invalid = scopes.filter((s) => !API_KEY_SCOPES.includes(s));
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid scopes: ${invalid.join(', ')}. Allowed: ${API_KEY_SCOPES.join(', ')}`
+      });
+    }
+
+    let expiry = null;
+    if (expiresAt) {
+      expiry = new Date(expiresAt);
+      if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'expiresAt must be a valid future date'
+        });
+      }
+    }
+
+    const rawKey = `dck_${crypto.randomBytes(32).toString('hex')}`;
+
+    const apiKey = await ApiKey.create({
+      name,
+      prefix: rawKey.slice(0, 12),
+      keyHash: hashToken(rawKey),
+      scopes: [...new Set(scopes)],
+      createdBy: req.user.id,
+      expiresAt: expiry
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Store it now; it will not be shown again.',
+      key: rawKey,
+      data: apiKey
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error creating API key',
+      error: error.message
+    });
+  }
+});
+
+// 3) PUT /api/api-keys/:id/revoke
+//    Revoke a key immediately
+router.put('/:id/revoke', async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully',
+      data: apiKey
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking API key',
+      error: error.message
+    });
+  }
+});
+
+// 4) DELETE /api/api-keys/:id
+//    Permanently remove a key record
+router.delete('/:id', async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findByIdAndDelete(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'API key deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting API key',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -2,15 +2,40 @@
 
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
 const User = require('../models/userModel');
+const RefreshToken = require('../models/refreshTokenModel');
+const { protect, requirePermission, usersOnly } = require('../middleware/auth');
+const { permissionsFor } = require('../config/permissions');
+const {
+  hashToken,
+  issueTokens,
+  revokeAllSessions,
+  createActionToken,
+  consumeActionToken
+} = require('../utils/tokens');
+const { sendPasswordResetEmail, sendVerificationEmail } = require('../utils/mailer');
+const loginGuard = require('../utils/loginGuard');
+
+// Reply 429 (throttled) or 423 (locked) with a Retry-After header
+const sendLoginBlocked = (res, status, scope) => {
+  res.set('Retry-After', String(status.retryAfter));
+  return res.status(status.locked ? 423 : 429).json({
+    success: false,
+    message: status.locked
+      ? `Too many failed login attempts. ${scope} is locked.`
+      : 'Too many failed login attempts. Please wait before trying again.',
+    retryAfter: status.retryAfter,
+    ...(status.locked && { unlockAt: new Date(Date.now() + status.retryAfter * 1000) })
+  });
+};
 
 // ──────────────────────────────────────────────────────────────────────────────
 // POST /api/auth/register
-//    Register a new user (default role='user'; only manually seed an admin initially)
+//    Register a new user. Always creates role='user'; admins are created via
+//    /api/auth/bootstrap-admin (first admin) or promoted through /api/users.
 router.post('/register', async (req, res) => {
   try {
-    const { username, email, password, role } = req.body;
+    const { username, email, password } = req.body;
 
     // Validate required fields
     if (!username || !email || !password) {
@@ -31,20 +56,27 @@ router.post('/register', async (req, res) => {
       });
     }
 
-    // Only allow role='admin' if explicitly set (you can remove this in production
-    // and manually assign admin via the database or a separate script)
+    // Any `role` in the body is ignored
     const user = new User({
       username,
       email,
       password,
-      role: role === 'admin' ? 'admin' : 'user'
+      role: 'user'
     });
 
     await user.save();
 
+    // Send the verification email; a mail failure shouldn't fail registration
+    try {
+      const verifyToken = await createActionToken(user, 'email-verification');
+      await sendVerificationEmail(user, verifyToken);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
     return res.status(201).json({
       success: true,
-      message: 'User registered successfully'
+      message: 'User registered successfully. Please check your email to verify your address.'
     });
   } catch (error) {
     console.error('Register error:', error);
@@ -56,9 +88,81 @@ router.post('/register', async (req, res) => {
   }
 });
 
+// ──────────────────────────────────────────────────────────────────────────────
+// POST /api/auth/bootstrap-admin
+//    One-time creation of the first admin. Requires the ADMIN_BOOTSTRAP_SECRET
+//    env var to be set and sent as `secret`; refuses once any admin exists.
+router.post('/bootstrap-admin', async (req, res) => {
+  try {
+    const { username, email, password, secret } = req.body;
+
+    if (!process.env.ADMIN_BOOTSTRAP_SECRET) {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin bootstrap is disabled'
+      });
+    }
+
+    if (secret !== process.env.ADMIN_BOOTSTRAP_SECRET) {
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid bootstrap secret'
+      });
+    }
+
+    const adminCount = await User.countDocuments({ role: 'admin' });
+    if (adminCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'An admin already exists; bootstrap is no longer available'
+      });
+    }
+
+    if (!username || !email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide username, email, and password'
+      });
+    }
+
+    const existing = await User.findOne({
+      $or: [{ email }, { username }]
+    });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'Username or email already in use'
+      });
+    }
+
+    const user = new User({
+      username,
+      email,
+      password,
+      role: 'admin'
+    });
+
+    await user.save();
+
+    return res.status(201).json({
+      success: true,
+      message: 'Admin created successfully'
+    });
+  } catch (error) {
+    console.error('Bootstrap admin error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while creating admin',
+      error: error.message
+    });
+  }
+});
+
 // ──────────────────────────────────────────────────────────────────────────────
 // POST /api/auth/login
-//    Authenticate user and return a JWT
+//    Authenticate user and return a short-lived access JWT plus a refresh token.
+//    Failed attempts are throttled per account and per IP (utils/loginGuard.js);
+//    unknown emails are throttled the same way as accounts.
 router.post('/login', async (req, res) => {
   try {
     const { email, password } = req.body;
@@ -71,43 +175,66 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    // Find user by email
+    // Per-IP throttling / lockout is checked before touching the account
+    const ipStatus = await loginGuard.checkIp(req.ip);
+    if (ipStatus.blocked) {
+      return sendLoginBlocked(res, ipStatus, 'This IP address');
+    }
+
+    // Find user by email. An unknown email is throttled like an account, so
+    // the status codes don't tell which emails are registered.
     const user = await User.findOne({ email });
     if (!user) {
+      const emailStatus = await loginGuard.checkUnknownEmail(email);
+      if (emailStatus.blocked) {
+        return sendLoginBlocked(res, emailStatus, 'This account');
+      }
+      await loginGuard.recordIpFailure(req.ip);
+      await loginGuard.recordUnknownEmailFailure(email, req.ip);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
+    const accountStatus = loginGuard.checkAccount(user);
+    if (accountStatus.blocked) {
+      return sendLoginBlocked(res, accountStatus, 'This account');
+    }
+
     // Check password
     const isMatch = await user.matchPassword(password);
     if (!isMatch) {
+      await loginGuard.recordIpFailure(req.ip);
+      await loginGuard.recordAccountFailure(user, req.ip);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Create JWT payload
-    const payload = {
-      id: user._id,
-      role: user.role
-    };
+    if (!user.isActive) {
+      return res.status(403).json({
+        success: false,
+        message: 'Account is disabled'
+      });
+    }
 
-    // Sign token for 7 days
-    const token = jwt.sign(payload, process.env.JWT_SECRET, {
-      expiresIn: '7d'
-    });
+    await loginGuard.resetAccount(user);
+
+    // Start a new session (access token + rotating refresh token)
+    const tokens = await issueTokens(user, req);
 
     return res.json({
       success: true,
-      token,
+      ...tokens,
       user: {
         id: user._id,
         username: user.username,
         email: user.email,
-        role: user.role
+        role: user.role,
+        emailVerified: user.emailVerified,
+        permissions: permissionsFor(user.role)
       }
     });
   } catch (error) {
@@ -120,4 +247,519 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// ──────────────────────────────────────────────────────────────────────────────
+// POST /api/auth/refresh
+//    Exchange a refresh token for a new access/refresh pair (rotation).
+//    Presenting an already-rotated token revokes the whole session family.
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide refreshToken'
+      });
+    }
+
+    // Claim the token atomically, so two concurrent refreshes with the same
+    // token can't both rotate it: only one of them finds it unrevoked.
+    const tokenHash = hashToken(refreshToken);
+    const now = new Date();
+    const claimed = await RefreshToken.findOneAndUpdate(
+      { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+      { revokedAt: now, revokedReason: 'rotated' }
+    );
+
+    if (!claimed) {
+      const stored = await RefreshToken.findOne({ tokenHash });
+      if (!stored) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid refresh token'
+        });
+      }
+
+      // Reuse of a rotated token: someone else may hold this session
+      if (stored.revokedAt) {
+        if (stored.revokedReason === 'rotated') {
+          await RefreshToken.updateMany(
+            { family: stored.family, revokedAt: null },
+            { revokedAt: new Date(), revokedReason: 'reuse-detected' }
+          );
+        }
+        return res.status(401).json({
+          success: false,
+          message: 'Refresh token has been revoked'
+        });
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token has expired'
+      });
+    }
+
+    const user = await User.findById(claimed.user);
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+
+    const tokens = await issueTokens(user, req, claimed.family);
+    await RefreshToken.updateOne(
+      { _id: claimed._id },
+      { replacedBy: hashToken(tokens.refreshToken) }
+    );
+
+    return res.json({
+      success: true,
+      ...tokens
+    });
+  } catch (error) {
+    console.error('Refresh error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while refreshing token',
+      error: error.message
+    });
+  }
+});
+
+// ──────────────────────────────────────────────────────────────────────────────
+// POST /api/auth/logout
+//    Revoke the given refresh token (ends this session only)
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide refreshToken'
+      });
+    }
+
+    await RefreshToken.findOneAndUpdate(
+      { tokenHash: hashToken(refreshToken), revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'logout' }
+    );
+
+    // Always succeed so the endpoint can't be used to probe tokens
+    return res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while logging out',
+      error: error.message
+    });
+  }
+});
+
+// ──────────────────────────────────────────────────────────────────────────────
+// POST /api/auth/logout-all (protected)
+//    Revoke every session of the current user, including live access tokens
+router.post('/logout-all', protect, usersOnly, async (req, res) => {
+  try {
+    await revokeAllSessions(req.user.id, 'logout-all');
+
+    return res.json({
+      success: true,
+      message: 'Logged out of all sessions'
+    });
+  } catch (error) {
+    console.error('Logout-all error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while logging out',
+      error: error.message
+    });
+  }
+});
+
+// ──────────────────────────────────────────────────────────────────────────────
+// POST /api/auth/revoke/:userId (user:manage)
+//    Immediately cut off every session of another user
+router.post('/revoke/:userId', protect, requirePermission('user:manage'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await revokeAllSessions(user._id, 'admin-revoked');
+
+    return res.json({
+      success: true,
+      message: `All sessions revoked for ${user.username}`
+    });
+  } catch (error) {
+    console.error('Revoke error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while revoking sessions',
+      error: error.message
+    });
+  }
+});
+
+// ──────────────────────────────────────────────────────────────────────────────
+// POST /api/auth/forgot-password
+//    Email a single-use password-reset link. Always responds the same way so
+//    the endpoint can't be used to discover which emails are registered.
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide email'
+      });
+    }
+
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+    // A failed send is only logged: an error here would reveal that the
+    // email is registered
+    if (user && user.isActive) {
+      try {
+        const token = await createActionToken(user, 'password-reset');
+        await sendPasswordResetEmail(user, token);
+      } catch (mailError) {
+        console.error('Password reset email error:', mailError);
+      }
+    }
+
+    return res.json({
+      success: true,
+      message: 'If that email is registered, a password reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while requesting password reset',
+      error: error.message
+    });
+  }
+});
+
+// ──────────────────────────────────────────────────────────────────────────────
+// POST /api/auth/reset-password
+//    Set a new password using a reset token; expects JSON { token, password }.
+//    Revokes every existing session of the user.
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide token and password'
+      });
+    }
+
+    // Check the new password against the schema before using up the
+    // single-use token, so a rejected password doesn't cost the reset link
+    await new User({ password }).validate(['password']);
+
+    const userId = await consumeActionToken(token, 'password-reset');
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    user.password = password;
+    // The reset link was delivered to this address, so it is verified too
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+    await revokeAllSessions(user._id, 'password-reset');
+
+    return res.json({
+      success: true,
+      message: 'Password reset successfully. Please log in again.'
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Reset password error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while resetting password',
+      error: error.message
+    });
+  }
+});
+
+// ──────────────────────────────────────────────────────────────────────────────
+// POST /api/auth/verify-email
+//    Mark the user's email as verified; expects JSON { token }
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide token'
+      });
+    }
+
+    const userId = await consumeActionToken(token, 'email-verification');
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    await User.findByIdAndUpdate(userId, {
+      emailVerified: true,
+      emailVerifiedAt: new Date()
+    });
+
+    return res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while verifying email',
+      error: error.message
+    });
+  }
+});
+
+// ──────────────────────────────────────────────────────────────────────────────
+// POST /api/auth/resend-verification (protected)
+//    Send a fresh verification email to the current user
+router.post('/resend-verification', protect, usersOnly, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    const token = await createActionToken(user, 'email-verification');
+    await sendVerificationEmail(user, token);
+
+    return res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while sending verification email',
+      error: error.message
+    });
+  }
+});
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Shape of the current user's profile in /me responses
+const profileOf = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  role: user.role,
+  emailVerified: user.emailVerified,
+  permissions: permissionsFor(user.role),
+  createdAt: user.createdAt
+});
+
+// ──────────────────────────────────────────────────────────────────────────────
+// GET /api/auth/me (protected)
+//    Current user's profile
+router.get('/me', protect, usersOnly, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    return res.json({
+      success: true,
+      data: profileOf(user)
+    });
+  } catch (error) {
+    console.error('Profile error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while fetching profile',
+      error: error.message
+    });
+  }
+});
+
+// ──────────────────────────────────────────────────────────────────────────────
+// PUT /api/auth/me (protected)
+//    Update username and/or email; expects JSON { username, email, currentPassword }.
+//    Changing the email requires the current password and re-verification.
+router.put('/me', protect, usersOnly, async (req, res) => {
+  try {
+    const { username, email, currentPassword } = req.body;
+
+    if (!username && !email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide username or email to update'
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    const newEmail = email ? String(email).toLowerCase().trim() : undefined;
+    const emailChanged = newEmail && newEmail !== user.email;
+
+    if (emailChanged) {
+      if (!currentPassword || !(await user.matchPassword(currentPassword))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Current password is incorrect'
+        });
+      }
+    }
+
+    // Check if the new username or email is already taken by someone else
+    const conflicts = [];
+    if (username && username !== user.username) conflicts.push({ username });
+    if (emailChanged) conflicts.push({ email: newEmail });
+    if (conflicts.length > 0) {
+      const existing = await User.findOne({ $or: conflicts, _id: { $ne: user._id } });
+      if (existing) {
+        return res.status(400).json({
+          success: false,
+          message: 'Username or email already in use'
+        });
+      }
+    }
+
+    if (username) user.username = username;
+    if (emailChanged) {
+      user.email = newEmail;
+      user.emailVerified = false;
+      user.emailVerifiedAt = null;
+    }
+
+    await user.save();
+
+    if (emailChanged) {
+      try {
+        const verifyToken = await createActionToken(user, 'email-verification');
+        await sendVerificationEmail(user, verifyToken);
+      } catch (mailError) {
+        console.error('Verification email error:', mailError);
+      }
+    }
+
+    return res.json({
+      success: true,
+      message: emailChanged
+        ? 'Profile updated. Please verify your new email address.'
+        : 'Profile updated successfully',
+      data: profileOf(user)
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Profile update error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while updating profile',
+      error: error.message
+    });
+  }
+});
+
+// ──────────────────────────────────────────────────────────────────────────────
+// PUT /api/auth/me/password (protected)
+//    Change password; expects JSON { currentPassword, newPassword }.
+//    Every other session is revoked and a fresh token pair is returned for this one.
+router.put('/me/password', protect, usersOnly, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide currentPassword and newPassword'
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+
+    const isMatch = await user.matchPassword(currentPassword);
+    if (!isMatch) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    await revokeAllSessions(user._id, 'password-change');
+
+    // Reload to pick up the bumped tokenVersion, then start a new session
+    const refreshed = await User.findById(user._id);
+    const tokens = await issueTokens(refreshed, req);
+
+    return res.json({
+      success: true,
+      message: 'Password changed successfully. Other sessions have been logged out.',
+      ...tokens
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Change password error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while changing password',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
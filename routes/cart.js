@@ -0,0 +1,396 @@
+// routes/cart.js
+
+const express = require('express');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const router = express.Router();
+const { Dress } = require('../models/model');
+const { EnquiryCart, MAX_ITEM_QUANTITY } = require('../models/cartModel');
+const Lead = require('../models/leadModel');
+const { protect, usersOnly, optionalAuth } = require('../middleware/auth');
+const { summarizeCart, composeWhatsappMessages } = require('../utils/cart');
+const { resolveWhatsappTargets } = require('../utils/agentRouting');
+const { CouponError, findUsableCoupon, applyCoupon } = require('../utils/coupons');
+const { convertAmount } = require('../utils/currency');
+const { roundPrice } = require('../utils/promotions');
+const { resolveCurrency } = require('../middleware/currency');
+
+// Every cart route works for guests (X-Cart-Id header) and logged-in users
+router.use('/cart', optionalAuth);
+
+// Find the caller's cart; with `create`, start one (guests get a new cart id)
+const findCart = async (req, create = false) => {
+  if (req.user) {
+    const cart = await EnquiryCart.findOne({ user: req.user.id });
+    if (cart || !create) return cart;
+    return new EnquiryCart({ user: req.user.id, items: [] });
+  }
+
+  const sessionId = req.get('x-cart-id');
+  if (sessionId) {
+    const cart = await EnquiryCart.findOne({ sessionId });
+    if (cart) return cart;
+  }
+  if (!create) return null;
+  return new EnquiryCart({ sessionId: crypto.randomUUID(), items: [] });
+};
+
+// Shape of every cart response: id to send back as X-Cart-Id + priced summary
+// in the requested language
+const sendCart = async (res, cart, status = 200, message) => {
+  const summary = cart
+    ? await summarizeCart(cart, res.req.locale)
+    : { items: [], itemCount: 0, total: 0, allAvailable: true };
+  if (cart && cart.sessionId) res.set('X-Cart-Id', cart.sessionId);
+  res.status(status).json({
+    success: true,
+    ...(message && { message }),
+    cartId: cart ? cart.sessionId || null : null,
+    data: summary
+  });
+};
+
+const parseQuantity = (quantity) => {
+  const qty = quantity === undefined ? 1 : Number(quantity);
+  return Number.isInteger(qty) && qty >= 1 && qty <= MAX_ITEM_QUANTITY ? qty : null;
+};
+
+// 1) GET /api/cart
+//    Current cart with per-line availability and prices
+router.get('/cart', async (req, res) => {
+  try {
+    await sendCart(res, await findCart(req));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching cart',
+      error: error.message
+    });
+  }
+});
+
+// 2) POST /api/cart/items
+//    Add a dress; expects JSON { dressId, size, color, quantity }.
+//    Adding the same dress / size / colour again increases its quantity.
+router.post('/cart/items', async (req, res) => {
+  try {
+    const { dressId, size, color = '' } = req.body;
+    const quantity = parseQuantity(req.body.quantity);
+
+    if (!dressId || !quantity) {
+      return res.status(400).json({
+        success: false,
+        message: `Please provide dressId and a quantity between 1 and ${MAX_ITEM_QUANTITY}`
+      });
+    }
+
+    const dress = await Dress.findOne({ _id: dressId, ...Dress.liveFilter() });
+    if (!dress) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dress not found'
+      });
+    }
+
+    if (dress.variants.length > 0 && !dress.findVariant(size, color)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This size / colour combination is not offered'
+      });
+    }
+
+    const cart = await findCart(req, true);
+    const existing = cart.items.find(
+      (i) =>
+        i.dress.equals(dress._id) &&
+        (i.size || '') === (size || '') &&
+        (i.color || '').toLowerCase() === String(color).toLowerCase()
+    );
+    if (existing) {
+      existing.quantity = Math.min(MAX_ITEM_QUANTITY, existing.quantity + quantity);
+    } else {
+      cart.items.push({ dress: dress._id, size, color, quantity });
+    }
+
+    await cart.save();
+    await sendCart(res, cart, 201, 'Item added to cart');
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error adding to cart',
+      error: error.message
+    });
+  }
+});
+
+// 3) PUT /api/cart/items/:itemId
+//    Change quantity, size or colour of a line
+router.put('/cart/items/:itemId', async (req, res) => {
+  try {
+    const { size, color } = req.body;
+
+    const cart = await findCart(req);
+    const item = cart && cart.items.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cart item not found'
+      });
+    }
+
+    if (req.body.quantity !== undefined) {
+      const quantity = parseQuantity(req.body.quantity);
+      if (!quantity) {
+        return res.status(400).json({
+          success: false,
+          message: `Quantity must be between 1 and ${MAX_ITEM_QUANTITY}`
+        });
+      }
+      item.quantity = quantity;
+    }
+    if (size !== undefined || color !== undefined) {
+      const dress = await Dress.findOne({ _id: item.dress, ...Dress.liveFilter() });
+      if (!dress) {
+        return res.status(404).json({
+          success: false,
+          message: 'Dress not found'
+        });
+      }
+
+      const nextSize = size !== undefined ? size : item.size;
+      const nextColor = color !== undefined ? color : item.color;
+      if (dress.variants.length > 0 && !dress.findVariant(nextSize, nextColor)) {
+        return res.status(400).json({
+          success: false,
+          message: 'This size / colour combination is not offered'
+        });
+      }
+      item.size = nextSize;
+      item.color = nextColor;
+    }
+
+    await cart.save();
+    await sendCart(res, cart, 200, 'Cart updated');
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error updating cart',
+      error: error.message
+    });
+  }
+});
+
+// 4) DELETE /api/cart/items/:itemId
+router.delete('/cart/items/:itemId', async (req, res) => {
+  try {
+    const cart = await findCart(req);
+    const item = cart && cart.items.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cart item not found'
+      });
+    }
+
+    item.deleteOne();
+    await cart.save();
+    await sendCart(res, cart, 200, 'Item removed from cart');
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error removing cart item',
+      error: error.message
+    });
+  }
+});
+
+// 5) DELETE /api/cart
+//    Empty the cart
+router.delete('/cart', async (req, res) => {
+  try {
+    const cart = await findCart(req);
+    if (cart) {
+      cart.items = [];
+      await cart.save();
+    }
+    await sendCart(res, cart, 200, 'Cart cleared');
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error clearing cart',
+      error: error.message
+    });
+  }
+});
+
+// 6) POST /api/cart/merge (logged in)
+//    Move the guest cart named by X-Cart-Id into the user's cart after login
+router.post('/cart/merge', protect, usersOnly, async (req, res) => {
+  try {
+    const sessionId = req.get('x-cart-id');
+    const guestCart = sessionId ? await EnquiryCart.findOne({ sessionId }) : null;
+
+    const userCart = (await EnquiryCart.findOne({ user: req.user.id })) ||
+      new EnquiryCart({ user: req.user.id, items: [] });
+
+    if (guestCart) {
+      guestCart.items.forEach((guestItem) => {
+        const existing = userCart.items.find(
+          (i) =>
+            i.dress.equals(guestItem.dress) &&
+            (i.size || '') === (guestItem.size || '') &&
+            (i.color || '').toLowerCase() === (guestItem.color || '').toLowerCase()
+        );
+        if (existing) {
+          existing.quantity = Math.min(MAX_ITEM_QUANTITY, existing.quantity + guestItem.quantity);
+        } else {
+          userCart.items.push({
+            dress: guestItem.dress,
+            size: guestItem.size,
+            color: guestItem.color,
+            quantity: guestItem.quantity
+          });
+        }
+      });
+    }
+
+    await userCart.save();
+    if (guestCart) await EnquiryCart.deleteOne({ _id: guestCart._id });
+
+    await sendCart(res, userCart, 200, 'Cart merged');
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error merging cart',
+      error: error.message
+    });
+  }
+});
+
+// 7) POST /api/cart/enquire
+//    Compose one WhatsApp message per sales number (dress override or routed
+//    agent) covering every available line, with line items and totals.
+//    Optional JSON { coupon }: the code is checked against the available lines
+//    and quoted with its discount (400 when it can't be used). It is used up
+//    only when staff convert one of the enquiry's leads.
+//    Each line is recorded as a lead; the leads share an enquiry id.
+//    Messages use ?lang= for dress names and ?currency= for amounts.
+router.post('/cart/enquire', resolveCurrency, async (req, res) => {
+  try {
+    const { coupon } = req.body || {};
+    const cart = await findCart(req);
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your cart is empty'
+      });
+    }
+
+    const summary = await summarizeCart(cart, req.locale);
+
+    // Route each dress to its override number or a sales agent
+    const availableDresses = [
+      ...new Map(
+        summary.items.filter((i) => i.available).map((i) => [i.dress._id.toString(), i.dress])
+      ).values()
+    ];
+    const targets = await resolveWhatsappTargets(availableDresses);
+    summary.items.forEach((item) => {
+      const target = targets.get(item.dress._id.toString());
+      if (!target) return;
+      item.dress.whatsappNumber = target.whatsappNumber;
+      item.agent = target.agent ? target.agent._id : null;
+      if (!target.whatsappNumber) {
+        item.available = false;
+        item.unavailableReason = 'No WhatsApp contact is configured for this dress';
+      }
+    });
+
+    const availableItems = summary.items.filter((i) => i.available);
+    if (availableItems.length === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'None of the items in your cart are currently available',
+        data: summary
+      });
+    }
+
+    let applied = null;
+    if (coupon) {
+      const usable = await findUsableCoupon(coupon);
+      applied = await applyCoupon(usable, availableItems);
+    }
+
+    const messages = composeWhatsappMessages(summary, applied, req.currency);
+    const enquiry = new mongoose.Types.ObjectId();
+
+    await Lead.insertMany(
+      summary.items
+        .filter((i) => i.available)
+        .map((i) => ({
+          dress: i.dress._id,
+          size: i.size,
+          color: i.color,
+          whatsappNumber: i.dress.whatsappNumber,
+          agent: i.agent,
+          referrer: (req.get('referer') || '').slice(0, 500) || undefined,
+          source: 'cart',
+          coupon: applied ? applied.code : null,
+          enquiry,
+          user: req.user ? req.user.id : null,
+          ip: req.ip,
+          userAgent: req.get('user-agent')
+        }))
+    );
+
+    res.json({
+      success: true,
+      currency: req.currency.code,
+      total: convertAmount(
+        applied ? applied.total : roundPrice(availableItems.reduce((sum, i) => sum + i.lineTotal, 0)),
+        req.currency
+      ),
+      coupon: applied
+        ? {
+            code: applied.code,
+            subtotal: convertAmount(applied.subtotal, req.currency),
+            discount: convertAmount(applied.discount, req.currency)
+          }
+        : null,
+      unavailable: summary.items.filter((i) => !i.available),
+      data: messages
+    });
+  } catch (error) {
+    if (error instanceof CouponError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error composing enquiry',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,460 @@
+// routes/collections.js
+
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const { Dress } = require('../models/model');
+const { Collection, MAX_COLLECTION_DRESSES } = require('../models/collectionModel');
+const { protect, requirePermission } = require('../middleware/auth');
+const { resolveCurrency } = require('../middleware/currency');
+const { deleteFromCloudinary } = require('../middleware/upload');
+const { DRESS_SORT_OPTIONS, findDressesPage } = require('../utils/catalogQuery');
+const { localizeDress } = require('../utils/currency');
+const { translateDress } = require('../utils/locale');
+
+// Collection without its (possibly long) dress id list
+const summaryOf = (collection) => {
+  const { dresses, ...rest } = collection.toObject();
+  return rest;
+};
+
+// Validate a list of dress ids: all must exist, no duplicates.
+// Returns an error message or null.
+const checkDressIds = async (ids) => {
+  if (!Array.isArray(ids)) return 'dresses must be an array of dress IDs';
+  if (ids.length > MAX_COLLECTION_DRESSES) {
+    return `A collection can hold at most ${MAX_COLLECTION_DRESSES} dresses`;
+  }
+  if (!ids.every((id) => mongoose.isValidObjectId(id))) return 'Invalid dress ID in dresses';
+  if (new Set(ids.map(String)).size !== ids.length) return 'A dress can only appear once in a collection';
+
+  const found = await Dress.countDocuments({ _id: { $in: ids } });
+  return found === ids.length ? null : 'One or more dresses were not found';
+};
+
+// Fields an admin may set on a collection
+const pickCollectionFields = (body) => {
+  const fields = {};
+  ['name', 'description', 'startsAt', 'endsAt', 'isActive', 'sortOrder'].forEach((key) => {
+    if (body[key] !== undefined) fields[key] = body[key] === '' ? null : body[key];
+  });
+  return fields;
+};
+
+// =====================
+// PUBLIC
+// =====================
+
+// 1) GET /api/collections (public)
+//    Live collections (active and within their dates), paginated
+router.get('/collections', async (req, res) => {
+  try {
+    const { page = 1, limit = 12 } = req.query;
+    const filter = Collection.liveFilter();
+
+    const pageNum = Math.max(1, parseInt(page));
+    const limitNum = Math.max(1, Math.min(50, parseInt(limit)));
+    const skip = (pageNum - 1) * limitNum;
+
+    const collections = await Collection.find(filter)
+      .sort({ sortOrder: 1, createdAt: -1 })
+      .limit(limitNum)
+      .skip(skip)
+      .select('-__v -createdBy');
+
+    const total = await Collection.countDocuments(filter);
+
+    res.json({
+      success: true,
+      count: collections.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      data: collections.map(summaryOf)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching collections',
+      error: error.message
+    });
+  }
+});
+
+// 2) GET /api/collections/:slug (public)
+//    A live collection and its active dresses, paginated like /api/dresses.
+//    sort=manual (default) keeps the curated order; other keys as /api/dresses.
+//    ?currency= converts prices; dress names follow ?lang= / Accept-Language.
+router.get('/collections/:slug', resolveCurrency, async (req, res) => {
+  try {
+    const { sort = 'manual', page = 1, limit = 12 } = req.query;
+
+    const collection = await Collection.findOne({
+      slug: req.params.slug,
+      ...Collection.liveFilter()
+    }).select('-__v -createdBy');
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    const pageNum = Math.max(1, parseInt(page));
+    const limitNum = Math.max(1, Math.min(50, parseInt(limit)));
+    const skip = (pageNum - 1) * limitNum;
+    const filter = { _id: { $in: collection.dresses }, ...Dress.liveFilter() };
+
+    let dresses;
+    let total;
+    if (DRESS_SORT_OPTIONS[sort]) {
+      ({ dresses, total } = await findDressesPage({
+        filter,
+        sort: DRESS_SORT_OPTIONS[sort],
+        skip,
+        limit: limitNum
+      }));
+    } else {
+      // Curated order: page through the active ids in collection order
+      const activeIds = new Set((await Dress.find(filter).distinct('_id')).map(String));
+      const orderedIds = collection.dresses.map(String).filter((id) => activeIds.has(id));
+      const pageIds = orderedIds.slice(skip, skip + limitNum);
+
+      const pageDresses = await Dress.find({ _id: { $in: pageIds } })
+        .populate('category', 'name slug translations')
+        .select('-__v');
+      const byId = new Map(pageDresses.map((d) => [d._id.toString(), d]));
+      dresses = pageIds.map((id) => byId.get(id)).filter(Boolean);
+      total = orderedIds.length;
+    }
+
+    res.json({
+      success: true,
+      collection: summaryOf(collection),
+      count: dresses.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      currency: req.currency.code,
+      locale: req.locale,
+      data: dresses.map((d) => translateDress(localizeDress(d, req.currency), req.locale))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching collection',
+      error: error.message
+    });
+  }
+});
+
+// =====================
+// ADMIN
+// =====================
+
+// 3) GET /api/collection (collection:manage)
+//    Every collection with its status (inactive | scheduled | live | ended)
+router.get('/collection', protect, requirePermission('collection:manage'), async (req, res) => {
+  try {
+    const collections = await Collection.find()
+      .sort({ sortOrder: 1, createdAt: -1 })
+      .populate('createdBy', 'username')
+      .select('-__v');
+
+    res.json({
+      success: true,
+      count: collections.length,
+      data: collections.map(summaryOf)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching collections',
+      error: error.message
+    });
+  }
+});
+
+// 4) GET /api/collection/:id (collection:manage)
+//    One collection with its full dress list in curated order (any status)
+router.get('/collection/:id', protect, requirePermission('collection:manage'), async (req, res) => {
+  try {
+    const collection = await Collection.findById(req.params.id)
+      .populate('dresses', 'name sku images price isActive')
+      .select('-__v');
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    res.json({ success: true, data: collection });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching collection',
+      error: error.message
+    });
+  }
+});
+
+// 5) POST /api/collection (collection:manage)
+//    Expects JSON { name, description, bannerUrl, banner_public_id, bannerAlt,
+//    startsAt, endsAt, isActive, sortOrder, dresses: [dressId, ...] }
+router.post('/collection', protect, requirePermission('collection:manage'), async (req, res) => {
+  try {
+    const { bannerUrl, banner_public_id, bannerAlt, dresses = [] } = req.body;
+
+    const dressError = await checkDressIds(dresses);
+    if (dressError) {
+      return res.status(400).json({
+        success: false,
+        message: dressError
+      });
+    }
+
+    const collection = await Collection.create({
+      ...pickCollectionFields(req.body),
+      banner: bannerUrl ? { url: bannerUrl, public_id: banner_public_id, alt: bannerAlt } : undefined,
+      dresses,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Collection created successfully',
+      data: collection
+    });
+  } catch (error) {
+    // If the DB save fails, remove the uploaded banner from Cloudinary
+    if (req.body.banner_public_id) {
+      await deleteFromCloudinary(req.body.banner_public_id);
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Collection name already exists'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error creating collection',
+      error: error.message
+    });
+  }
+});
+
+// 6) PUT /api/collection/:id (collection:manage)
+//    Update fields and optionally replace the banner (same fields as POST,
+//    without dresses; use PUT /api/collection/:id/dresses for those)
+router.put('/collection/:id', protect, requirePermission('collection:manage'), async (req, res) => {
+  try {
+    const { bannerUrl, banner_public_id, bannerAlt } = req.body;
+
+    const collection = await Collection.findById(req.params.id);
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    Object.assign(collection, pickCollectionFields(req.body));
+
+    // Replace banner if provided
+    if (bannerUrl && banner_public_id) {
+      if (collection.banner && collection.banner.public_id) {
+        await deleteFromCloudinary(collection.banner.public_id);
+      }
+      collection.banner = { url: bannerUrl, public_id: banner_public_id, alt: bannerAlt };
+    } else if (bannerAlt !== undefined && collection.banner) {
+      collection.banner.alt = bannerAlt;
+    }
+
+    await collection.save();
+
+    res.json({
+      success: true,
+      message: 'Collection updated successfully',
+      data: summaryOf(collection)
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Collection name already exists'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error updating collection',
+      error: error.message
+    });
+  }
+});
+
+// 7) PUT /api/collection/:id/dresses (collection:manage)
+//    Replace the dress list; the array order is the display order.
+//    Expects JSON { dresses: [dressId, ...] }
+router.put('/collection/:id/dresses', protect, requirePermission('collection:manage'), async (req, res) => {
+  try {
+    const { dresses } = req.body;
+
+    const dressError = await checkDressIds(dresses);
+    if (dressError) {
+      return res.status(400).json({
+        success: false,
+        message: dressError
+      });
+    }
+
+    const collection = await Collection.findByIdAndUpdate(
+      req.params.id,
+      { dresses },
+      { new: true, runValidators: true }
+    ).populate('dresses', 'name sku images price isActive');
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Collection dresses updated',
+      data: collection
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating collection dresses',
+      error: error.message
+    });
+  }
+});
+
+// 8) POST /api/collection/:id/dresses (collection:manage)
+//    Add one dress; expects JSON { dressId, position } (0-based, default: end).
+//    Adding a dress that is already in the collection moves it.
+router.post('/collection/:id/dresses', protect, requirePermission('collection:manage'), async (req, res) => {
+  try {
+    const { dressId, position } = req.body;
+
+    if (!mongoose.isValidObjectId(dressId) || !(await Dress.exists({ _id: dressId }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dress not found'
+      });
+    }
+
+    const collection = await Collection.findById(req.params.id);
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    const ids = collection.dresses.filter((id) => !id.equals(dressId));
+    const index = position === undefined
+      ? ids.length
+      : Math.max(0, Math.min(ids.length, parseInt(position) || 0));
+    ids.splice(index, 0, dressId);
+    collection.dresses = ids;
+    await collection.save();
+
+    res.json({
+      success: true,
+      message: 'Dress added to collection',
+      data: summaryOf(collection)
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error adding dress to collection',
+      error: error.message
+    });
+  }
+});
+
+// 9) DELETE /api/collection/:id/dresses/:dressId (collection:manage)
+router.delete('/collection/:id/dresses/:dressId', protect, requirePermission('collection:manage'), async (req, res) => {
+  try {
+    const collection = await Collection.findByIdAndUpdate(
+      req.params.id,
+      { $pull: { dresses: req.params.dressId } },
+      { new: true }
+    );
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Dress removed from collection',
+      data: summaryOf(collection)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error removing dress from collection',
+      error: error.message
+    });
+  }
+});
+
+// 10) DELETE /api/collection/:id (collection:manage)
+//     Delete a collection and its banner (the dresses are not touched)
+router.delete('/collection/:id', protect, requirePermission('collection:manage'), async (req, res) => {
+  try {
+    const collection = await Collection.findById(req.params.id);
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    if (collection.banner && collection.banner.public_id) {
+      await deleteFromCloudinary(collection.banner.public_id);
+    }
+    await Collection.findByIdAndDelete(collection._id);
+
+    res.json({
+      success: true,
+      message: 'Collection deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting collection',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
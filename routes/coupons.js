@@ -0,0 +1,269 @@
+// routes/coupons.js
+
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const { Dress } = require('../models/model');
+const { Coupon } = require('../models/couponModel');
+const { MAX_CART_ITEMS, MAX_ITEM_QUANTITY } = require('../models/cartModel');
+const { protect, requirePermission } = require('../middleware/auth');
+const { checkLine } = require('../utils/cart');
+const { CouponError, findUsableCoupon, applyCoupon } = require('../utils/coupons');
+
+// Fields an admin may set on a coupon
+const pickCouponFields = (body) => {
+  const fields = {};
+  [
+    'code', 'description', 'type', 'value', 'maxDiscount', 'minOrderValue',
+    'categories', 'startsAt', 'expiresAt', 'usageLimit', 'isActive'
+  ].forEach((key) => {
+    if (body[key] !== undefined) fields[key] = body[key] === '' ? null : body[key];
+  });
+  return fields;
+};
+
+// =====================
+// PUBLIC
+// =====================
+
+// 1) POST /api/coupons/validate (public)
+//    Check a code and price it without using it up. Expects JSON
+//    { code, dressId, size, color, quantity } for one dress, or
+//    { code, items: [{ dressId, size, color, quantity }] } for several.
+//    Only available lines are discounted and count toward minOrderValue;
+//    the others are listed under `unavailable` with the reason.
+router.post('/coupons/validate', async (req, res) => {
+  try {
+    const { code, dressId, size, color, quantity } = req.body;
+    const items = Array.isArray(req.body.items)
+      ? req.body.items
+      : [{ dressId, size, color, quantity }];
+
+    if (!code || items.length === 0 || items.length > MAX_CART_ITEMS) {
+      return res.status(400).json({
+        success: false,
+        message: `Please provide a code and between 1 and ${MAX_CART_ITEMS} dresses`
+      });
+    }
+    if (!items.every((i) => mongoose.isValidObjectId(i.dressId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Every item needs a valid dressId'
+      });
+    }
+
+    const dresses = await Dress.find({
+      _id: { $in: items.map((i) => i.dressId) },
+      ...Dress.liveFilter()
+    }).populate('category', 'name slug');
+    const byId = new Map(dresses.map((d) => [d._id.toString(), d]));
+
+    const lines = [];
+    for (const item of items) {
+      const dress = byId.get(String(item.dressId));
+      if (!dress) {
+        return res.status(404).json({
+          success: false,
+          message: `Dress not found: ${item.dressId}`
+        });
+      }
+      const qty = item.quantity === undefined ? 1 : Number(item.quantity);
+      if (!Number.isInteger(qty) || qty < 1 || qty > MAX_ITEM_QUANTITY) {
+        return res.status(400).json({
+          success: false,
+          message: `Quantity must be between 1 and ${MAX_ITEM_QUANTITY}`
+        });
+      }
+      const check = checkLine(dress, { size: item.size, color: item.color, quantity: qty });
+      lines.push({
+        dress,
+        size: item.size,
+        color: item.color,
+        quantity: qty,
+        unitPrice: check.unitPrice,
+        available: check.available,
+        reason: check.reason
+      });
+    }
+
+    const coupon = await findUsableCoupon(code);
+    const availableLines = lines.filter((l) => l.available);
+    if (availableLines.length === 0) {
+      throw new CouponError('None of these dresses are currently available', 409);
+    }
+    const result = await applyCoupon(coupon, availableLines);
+
+    res.json({
+      success: true,
+      message: 'Coupon applied',
+      data: {
+        code: result.code,
+        type: result.type,
+        value: result.value,
+        description: coupon.description,
+        expiresAt: coupon.expiresAt,
+        subtotal: result.subtotal,
+        discount: result.discount,
+        total: result.total,
+        items: result.lines.map((l) => ({
+          dressId: l.dress._id,
+          name: l.dress.name,
+          size: l.size,
+          color: l.color,
+          quantity: l.quantity,
+          unitPrice: l.unitPrice,
+          eligible: l.eligible,
+          lineTotal: l.lineTotal,
+          discount: l.discount,
+          discountedTotal: l.discountedTotal
+        })),
+        unavailable: lines.filter((l) => !l.available).map((l) => ({
+          dressId: l.dress._id,
+          name: l.dress.name,
+          size: l.size,
+          color: l.color,
+          quantity: l.quantity,
+          reason: l.reason
+        }))
+      }
+    });
+  } catch (error) {
+    if (error instanceof CouponError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error validating coupon',
+      error: error.message
+    });
+  }
+});
+
+// =====================
+// ADMIN
+// =====================
+
+// 2) GET /api/coupons (coupon:manage)
+router.get('/coupons', protect, requirePermission('coupon:manage'), async (req, res) => {
+  try {
+    const coupons = await Coupon.find()
+      .populate('categories', 'name path')
+      .populate('createdBy', 'username')
+      .sort({ createdAt: -1 })
+      .select('-__v');
+
+    res.json({ success: true, count: coupons.length, data: coupons });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching coupons',
+      error: error.message
+    });
+  }
+});
+
+// 3) POST /api/coupons (coupon:manage)
+//    Expects JSON { code, description, type: percentage | flat, value,
+//    maxDiscount, minOrderValue, categories: [id], startsAt, expiresAt, usageLimit }
+router.post('/coupons', protect, requirePermission('coupon:manage'), async (req, res) => {
+  try {
+    const coupon = await Coupon.create({
+      ...pickCouponFields(req.body),
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      data: coupon
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Coupon code already exists'
+      });
+    }
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error creating coupon',
+      error: error.message
+    });
+  }
+});
+
+// 4) PUT /api/coupons/:id (coupon:manage)
+//    Update any field; isActive=false withdraws the code
+router.put('/coupons/:id', protect, requirePermission('coupon:manage'), async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    Object.assign(coupon, pickCouponFields(req.body));
+    await coupon.save();
+
+    res.json({
+      success: true,
+      message: 'Coupon updated successfully',
+      data: coupon
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Coupon code already exists'
+      });
+    }
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error updating coupon',
+      error: error.message
+    });
+  }
+});
+
+// 5) DELETE /api/coupons/:id (coupon:manage)
+router.delete('/coupons/:id', protect, requirePermission('coupon:manage'), async (req, res) => {
+  try {
+    const coupon = await Coupon.findByIdAndDelete(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Coupon deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting coupon',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
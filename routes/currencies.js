@@ -0,0 +1,68 @@
+// routes/currencies.js
+
+const express = require('express');
+const router = express.Router();
+const { protect, requirePermission } = require('../middleware/auth');
+const {
+  CurrencyError,
+  decimalsFor,
+  getExchangeRates,
+  setExchangeRates
+} = require('../utils/currency');
+
+// 1) GET /api/currencies (public)
+//    Base currency and every currency prices can be shown in, with rates
+router.get('/currencies', async (req, res) => {
+  try {
+    const { base, rates, source, updatedAt } = await getExchangeRates();
+
+    res.json({
+      success: true,
+      data: {
+        base,
+        source,
+        updatedAt,
+        currencies: [
+          { code: base, rate: 1, decimals: decimalsFor(base) },
+          ...Object.entries(rates).map(([code, rate]) => ({ code, rate, decimals: decimalsFor(code) }))
+        ]
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching currencies',
+      error: error.message
+    });
+  }
+});
+
+// 2) PUT /api/currencies/rates (settings:manage)
+//    Replace the exchange rates; expects JSON { rates: { USD: 0.012, AED: 0.044 } }
+//    (units of each currency per 1 unit of the base currency).
+//    Not available when rates come from EXCHANGE_RATES_FILE.
+router.put('/currencies/rates', protect, requirePermission('settings:manage'), async (req, res) => {
+  try {
+    const value = await setExchangeRates(req.body.rates, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Exchange rates updated',
+      data: value
+    });
+  } catch (error) {
+    if (error instanceof CurrencyError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error updating exchange rates',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
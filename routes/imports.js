@@ -0,0 +1,209 @@
+// routes/imports.js
+
+const express = require('express');
+const router = express.Router();
+const { DressImport } = require('../models/dressImportModel');
+const { protect, requirePermission } = require('../middleware/auth');
+const { uploadCsv, handleMulterError } = require('../middleware/upload');
+const { toCsv } = require('../utils/csv');
+const {
+  IMPORT_MAX_ROWS,
+  IMPORT_COLUMNS,
+  ImportError,
+  importDresses
+} = require('../utils/dressImport');
+
+// Imports create and update dresses, so every route needs both permissions
+const canImport = requirePermission('dress:create', 'dress:update');
+
+// Example row for the template (translation columns left empty)
+const TEMPLATE_EXAMPLE = {
+  sku: 'SS25-ANK-001',
+  name: 'Anarkali Kurta Set',
+  description: 'Flared cotton anarkali with dupatta',
+  category: 'women/ethnic',
+  price: '2499',
+  discountedPrice: '1999',
+  material: 'Cotton',
+  careInstructions: 'Hand wash cold',
+  tags: 'festive|cotton',
+  variants: 'S:Red:4|M:Red:6|M:Blue:2:2199',
+  images: 'https://example.com/anarkali-front.jpg|dress-catalog/dresses/anarkali-back',
+  status: 'draft',
+  isFeatured: 'false'
+};
+
+// =====================
+// ADMIN
+// =====================
+
+// 1) GET /api/dresses/import/template (dress:create + dress:update)
+//    Empty sheet with every column and one example row, as CSV
+router.get('/dresses/import/template', protect, canImport, (req, res) => {
+  const csv = toCsv(
+    [TEMPLATE_EXAMPLE],
+    IMPORT_COLUMNS.map((column) => ({ header: column, value: (row) => row[column] }))
+  );
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', 'attachment; filename="dress-import-template.csv"');
+  res.send(csv);
+});
+
+// 2) POST /api/dresses/import (dress:create + dress:update)
+//    Import dresses from a CSV sheet (see utils/dressImport.js for columns),
+//    sent as multipart field "file" or as a text/csv body. Rows are upserted
+//    by sku; ?dryRun=true only validates them. The response lists every row
+//    with its issues; the report stays available under /api/dresses/imports/:id.
+//    XLSX workbooks have to be saved as CSV first.
+router.post(
+  '/dresses/import',
+  protect,
+  canImport,
+  express.text({ type: 'text/csv', limit: '5mb' }),
+  uploadCsv.single('file'),
+  handleMulterError,
+  async (req, res) => {
+    try {
+      const dryRun = req.query.dryRun === 'true';
+      const text = req.file ? req.file.buffer.toString('utf8') : req.body;
+      if (typeof text !== 'string' || text.trim() === '') {
+        return res.status(400).json({
+          success: false,
+          message: 'Please upload a CSV file (field "file") or send a text/csv body'
+        });
+      }
+
+      const result = await importDresses(text, {
+        dryRun,
+        filename: req.file ? req.file.originalname : '',
+        user: req.user
+      });
+
+      const { created, updated, failed } = result.counts;
+      res.status(dryRun || created === 0 ? 200 : 201).json({
+        success: true,
+        message: dryRun
+          ? `Dry run: ${failed} of ${result.counts.total} rows have errors; nothing was saved`
+          : `Import finished: ${created} created, ${updated} updated, ${failed} failed`,
+        report: `/api/dresses/imports/${result._id}/report`,
+        data: result
+      });
+    } catch (error) {
+      if (error instanceof ImportError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+      res.status(500).json({
+        success: false,
+        message: 'Error importing dresses',
+        error: error.message
+      });
+    }
+  }
+);
+
+// 3) GET /api/dresses/imports (dress:create + dress:update)
+//    Past imports and dry runs, newest first, without their rows
+router.get('/dresses/imports', protect, canImport, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const pageNum = Math.max(1, parseInt(page));
+    const limitNum = Math.max(1, Math.min(100, parseInt(limit)));
+    const skip = (pageNum - 1) * limitNum;
+
+    const imports = await DressImport.find()
+      .populate('user', 'username email')
+      .sort({ createdAt: -1 })
+      .limit(limitNum)
+      .skip(skip)
+      .select('-rows -__v');
+    const total = await DressImport.countDocuments();
+
+    res.json({
+      success: true,
+      maxRows: IMPORT_MAX_ROWS,
+      count: imports.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      data: imports
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching imports',
+      error: error.message
+    });
+  }
+});
+
+// 4) GET /api/dresses/imports/:id (dress:create + dress:update)
+//    One import with its row results; ?status=error lists only failed rows
+router.get('/dresses/imports/:id', protect, canImport, async (req, res) => {
+  try {
+    const result = await DressImport.findById(req.params.id)
+      .populate('user', 'username email')
+      .select('-__v')
+      .lean();
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import not found'
+      });
+    }
+
+    if (req.query.status) {
+      result.rows = result.rows.filter((row) => row.status === req.query.status);
+    }
+    res.json({ success: true, data: result });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching import',
+      error: error.message
+    });
+  }
+});
+
+// 5) GET /api/dresses/imports/:id/report (dress:create + dress:update)
+//    Row results of an import, downloaded as CSV
+router.get('/dresses/imports/:id/report', protect, canImport, async (req, res) => {
+  try {
+    const result = await DressImport.findById(req.params.id).lean();
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import not found'
+      });
+    }
+
+    const csv = toCsv(result.rows, [
+      { header: 'Row', value: (r) => r.row },
+      { header: 'SKU', value: (r) => r.sku },
+      { header: 'Name', value: (r) => r.name },
+      { header: 'Action', value: (r) => r.action },
+      { header: 'Status', value: (r) => r.status },
+      {
+        header: 'Errors',
+        value: (r) => r.issues.map((i) => (i.field ? `${i.field}: ${i.message}` : i.message)).join('; ')
+      },
+      { header: 'Dress ID', value: (r) => r.dress }
+    ]);
+
+    const date = result.createdAt.toISOString().slice(0, 10);
+    const filename = `dress-import-${result.dryRun ? 'dry-run-' : ''}${date}-${result._id}.csv`;
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(csv);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting import report',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,286 @@
+// routes/inventory.js
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { Dress } = require('../models/model');
+const StockMovement = require('../models/stockMovementModel');
+const { protect, requirePermission } = require('../middleware/auth');
+const {
+  LOW_STOCK_THRESHOLD,
+  InventoryError,
+  adjustStock
+} = require('../utils/inventory');
+
+// Map an adjust failure to a response (InventoryError carries its own status)
+const sendAdjustError = (res, error) => {
+  if (error instanceof InventoryError) {
+    return res.status(error.status).json({ success: false, message: error.message });
+  }
+  return res.status(500).json({
+    success: false,
+    message: 'Error adjusting stock',
+    error: error.message
+  });
+};
+
+// =====================
+// STOCK ADJUSTMENTS
+// =====================
+
+// 1) POST /api/dress/:id/stock/adjust (stock:adjust)
+//    Atomically change one variant's stock and record it in the ledger.
+//    Expects JSON { type, quantity, reason, variantId | sku | size (+ color) }
+//    - type: restock | sale | return (positive quantity) or correction (signed)
+router.post(
+  '/dress/:id/stock/adjust',
+  protect,
+  requirePermission('stock:adjust'),
+  async (req, res) => {
+    try {
+      const { type, quantity, reason, variantId, sku, size, color } = req.body;
+
+      const movement = await adjustStock({
+        dressId: req.params.id,
+        target: { variantId, sku, size, color },
+        type,
+        quantity,
+        reason,
+        user: req.user
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Stock adjusted successfully',
+        data: movement
+      });
+    } catch (error) {
+      sendAdjustError(res, error);
+    }
+  }
+);
+
+// 2) POST /api/inventory/adjust (stock:adjust)
+//    Bulk adjust by SKU for sync scripts; expects JSON { items: [{ sku, size?, type, quantity, reason }] }.
+//    Each item is applied independently; the response reports per-item results.
+router.post(
+  '/inventory/adjust',
+  protect,
+  requirePermission('stock:adjust'),
+  async (req, res) => {
+    try {
+      const { items } = req.body;
+
+      if (!Array.isArray(items) || items.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'items must be a non-empty array'
+        });
+      }
+      if (items.length > 500) {
+        return res.status(400).json({
+          success: false,
+          message: 'Maximum 500 items per request'
+        });
+      }
+
+      const results = [];
+      for (const item of items) {
+        try {
+          // Variant SKU first, then a legacy dress SKU (+ size)
+          const dress = await Dress.findOne({
+            $or: [{ 'variants.sku': item.sku }, { sku: item.sku }]
+          }).select('_id sku');
+          if (!dress) throw new InventoryError('SKU not found', 404);
+
+          const target = dress.sku === item.sku ? { size: item.size } : { sku: item.sku };
+          const movement = await adjustStock({
+            dressId: dress._id,
+            target,
+            type: item.type,
+            quantity: item.quantity,
+            reason: item.reason,
+            user: req.user
+          });
+          results.push({ sku: item.sku, success: true, balanceAfter: movement.balanceAfter });
+        } catch (error) {
+          results.push({ sku: item.sku, success: false, message: error.message });
+        }
+      }
+
+      const failed = results.filter((r) => !r.success).length;
+      res.status(failed === results.length ? 400 : 200).json({
+        success: failed === 0,
+        applied: results.length - failed,
+        failed,
+        data: results
+      });
+    } catch (error) {
+      sendAdjustError(res, error);
+    }
+  }
+);
+
+// =====================
+// LEDGER
+// =====================
+
+// Shared list handler for the ledger endpoints
+const listMovements = async (filter, query) => {
+  const { page = 1, limit = 50 } = query;
+  const pageNum = Math.max(1, parseInt(page));
+  const limitNum = Math.max(1, Math.min(200, parseInt(limit)));
+  const skip = (pageNum - 1) * limitNum;
+
+  const movements = await StockMovement.find(filter)
+    .populate('user', 'username email')
+    .populate('dress', 'name sku')
+    .sort({ createdAt: -1 })
+    .limit(limitNum)
+    .skip(skip)
+    .select('-__v');
+  const total = await StockMovement.countDocuments(filter);
+
+  return {
+    success: true,
+    count: movements.length,
+    total,
+    page: pageNum,
+    pages: Math.ceil(total / limitNum),
+    data: movements
+  };
+};
+
+// 3) GET /api/dress/:id/stock/movements (stock:read)
+//    Ledger for one dress (newest first)
+router.get(
+  '/dress/:id/stock/movements',
+  protect,
+  requirePermission('stock:read'),
+  async (req, res) => {
+    try {
+      res.json(await listMovements({ dress: req.params.id }, req.query));
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching stock movements',
+        error: error.message
+      });
+    }
+  }
+);
+
+// 4) GET /api/inventory/movements (stock:read)
+//    Global ledger; filters: dress, type, user, from, to (ISO dates)
+router.get(
+  '/inventory/movements',
+  protect,
+  requirePermission('stock:read'),
+  async (req, res) => {
+    try {
+      const { dress, type, user, from, to } = req.query;
+
+      const filter = {};
+      if (dress) filter.dress = dress;
+      if (type) filter.type = type;
+      if (user) filter.user = user;
+      if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = new Date(from);
+        if (to) filter.createdAt.$lte = new Date(to);
+      }
+
+      res.json(await listMovements(filter, req.query));
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching stock movements',
+        error: error.message
+      });
+    }
+  }
+);
+
+// =====================
+// REPORTS
+// =====================
+
+// 5) GET /api/inventory/low-stock (analytics:read)
+//    Variants (or legacy sizes) at or below their dress's lowStockThreshold,
+//    falling back to ?threshold= or LOW_STOCK_THRESHOLD. Lowest stock first.
+router.get(
+  '/inventory/low-stock',
+  protect,
+  requirePermission('analytics:read'),
+  async (req, res) => {
+    try {
+      const { threshold, category, includeInactive } = req.query;
+      const defaultThreshold = threshold === undefined || String(threshold).trim() === ''
+        ? LOW_STOCK_THRESHOLD
+        : Number(threshold);
+      if (!(Number.isInteger(defaultThreshold) && defaultThreshold >= 0)) {
+        return res.status(400).json({
+          success: false,
+          message: 'threshold must be a whole number of 0 or more'
+        });
+      }
+      if (category && !mongoose.isValidObjectId(category)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid category id'
+        });
+      }
+
+      const match = {};
+      if (includeInactive !== 'true') match.isActive = true;
+      if (category) match.category = new mongoose.Types.ObjectId(category);
+
+      const items = await Dress.aggregate([
+        { $match: match },
+        {
+          $project: {
+            name: 1,
+            sku: 1,
+            category: 1,
+            threshold: { $ifNull: ['$lowStockThreshold', defaultThreshold] },
+            entries: {
+              $cond: [{ $gt: [{ $size: { $ifNull: ['$variants', []] } }, 0] }, '$variants', '$sizes']
+            }
+          }
+        },
+        { $unwind: '$entries' },
+        { $match: { $expr: { $lte: ['$entries.stock', '$threshold'] } } },
+        {
+          $project: {
+            _id: 0,
+            dress: '$_id',
+            name: 1,
+            category: 1,
+            threshold: 1,
+            sku: { $ifNull: ['$entries.sku', '$sku'] },
+            size: '$entries.size',
+            color: { $ifNull: ['$entries.color', ''] },
+            stock: '$entries.stock',
+            available: '$entries.available'
+          }
+        },
+        { $sort: { stock: 1, name: 1 } }
+      ]);
+
+      res.json({
+        success: true,
+        defaultThreshold,
+        count: items.length,
+        data: items
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error building low-stock report',
+        error: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
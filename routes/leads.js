@@ -0,0 +1,318 @@
+// routes/leads.js
+
+const express = require('express');
+const router = express.Router();
+const { Dress } = require('../models/model');
+const Lead = require('../models/leadModel');
+const { protect, requirePermission, optionalAuth } = require('../middleware/auth');
+const { resolveCurrency } = require('../middleware/currency');
+const { toCsv } = require('../utils/csv');
+const { resolveWhatsappTarget } = require('../utils/agentRouting');
+const { checkLine } = require('../utils/cart');
+const { Coupon } = require('../models/couponModel');
+const {
+  CouponError,
+  normalizeCode,
+  findUsableCoupon,
+  applyCoupon,
+  redeemCoupon
+} = require('../utils/coupons');
+
+// Build the Mongo filter shared by the list and export endpoints
+const buildLeadFilter = ({ dress, status, user, agent, source, coupon, from, to }) => {
+  const filter = {};
+  if (dress) filter.dress = dress;
+  if (coupon) filter.coupon = String(coupon).toUpperCase();
+  if (agent) filter.agent = agent;
+  if (status) filter.status = status;
+  if (user) filter.user = user;
+  if (source) filter.source = source;
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+  return filter;
+};
+
+// =====================
+// PUBLIC
+// =====================
+
+// 1) GET /api/dress/:id/enquire (public, optional login)
+//    Record a lead and redirect (302) to WhatsApp: the dress's own number if it
+//    has one, otherwise the sales agent picked by utils/agentRouting.js.
+//    Query: size, color, coupon, currency, source / utm_source; redirect=false returns
+//    JSON { link, coupon } instead, for clients that open the link themselves.
+//    A valid coupon is quoted in the message; an unusable one is left out (the
+//    JSON response says why). Quoting doesn't use the coupon up.
+router.get('/dress/:id/enquire', optionalAuth, resolveCurrency, async (req, res) => {
+  try {
+    const { size, color, coupon, source, utm_source, redirect } = req.query;
+
+    const dress = await Dress.findOne({ _id: req.params.id, ...Dress.liveFilter() })
+      .populate('category', 'name slug');
+    if (!dress) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dress not found'
+      });
+    }
+
+    const selection = {
+      size: size ? String(size).slice(0, 20) : undefined,
+      color: color ? String(color).slice(0, 50) : undefined
+    };
+    const target = await resolveWhatsappTarget(dress);
+    if (!target.whatsappNumber) {
+      return res.status(503).json({
+        success: false,
+        message: 'No WhatsApp contact is configured for this dress'
+      });
+    }
+
+    // Quote the coupon for this dress / variant at quantity 1. It is not used
+    // up here (this is a GET that bots and prefetchers follow too); a use is
+    // counted when the lead is converted.
+    let applied = null;
+    let couponStatus = null;
+    if (coupon) {
+      try {
+        const usable = await findUsableCoupon(coupon);
+        const { available, reason, unitPrice } = checkLine(dress, { ...selection, quantity: 1 });
+        if (!available) throw new CouponError(reason);
+        const result = await applyCoupon(usable, [{ dress, unitPrice, quantity: 1 }]);
+        applied = { code: usable.code, price: result.total };
+        couponStatus = { valid: true, code: usable.code, discount: result.discount, price: result.total };
+      } catch (error) {
+        if (!(error instanceof CouponError)) throw error;
+        couponStatus = { valid: false, message: error.message };
+      }
+    }
+
+    const message = await dress.resolveWhatsappMessage({
+      ...selection,
+      coupon: applied,
+      currency: req.currency
+    });
+    const link = dress.buildWhatsappLink(selection, target.whatsappNumber, message);
+
+    await Lead.create({
+      dress: dress._id,
+      ...selection,
+      coupon: applied ? applied.code : null,
+      whatsappNumber: target.whatsappNumber,
+      agent: target.agent ? target.agent._id : null,
+      referrer: (req.get('referer') || '').slice(0, 500) || undefined,
+      source: (source || utm_source) ? String(source || utm_source).slice(0, 100) : undefined,
+      user: req.user ? req.user.id : null,
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    if (redirect === 'false') {
+      return res.json({ success: true, link, coupon: couponStatus });
+    }
+    res.redirect(302, link);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error creating enquiry',
+      error: error.message
+    });
+  }
+});
+
+// =====================
+// ADMIN
+// =====================
+
+// 2) GET /api/leads (lead:read)
+//    Filters: dress, status (new | followed-up | converted), user, agent, source, coupon, from, to
+router.get('/leads', protect, requirePermission('lead:read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const filter = buildLeadFilter(req.query);
+
+    const pageNum = Math.max(1, parseInt(page));
+    const limitNum = Math.max(1, Math.min(200, parseInt(limit)));
+    const skip = (pageNum - 1) * limitNum;
+
+    const leads = await Lead.find(filter)
+      .populate('dress', 'name sku')
+      .populate('user', 'username email')
+      .populate('agent', 'name')
+      .populate('followedUpBy', 'username')
+      .sort({ createdAt: -1 })
+      .limit(limitNum)
+      .skip(skip)
+      .select('-__v');
+
+    const total = await Lead.countDocuments(filter);
+
+    res.json({
+      success: true,
+      count: leads.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      data: leads
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching leads',
+      error: error.message
+    });
+  }
+});
+
+// 3) GET /api/leads/export (lead:read)
+//    Same filters as GET /api/leads, downloaded as CSV (max 10,000 rows)
+router.get('/leads/export', protect, requirePermission('lead:read'), async (req, res) => {
+  try {
+    const leads = await Lead.find(buildLeadFilter(req.query))
+      .populate('dress', 'name sku')
+      .populate('user', 'username email')
+      .populate('agent', 'name')
+      .sort({ createdAt: -1 })
+      .limit(10000)
+      .lean();
+
+    const csv = toCsv(leads, [
+      { header: 'Date', value: (l) => l.createdAt },
+      { header: 'Dress', value: (l) => l.dress && l.dress.name },
+      { header: 'SKU', value: (l) => l.dress && l.dress.sku },
+      { header: 'Size', value: (l) => l.size },
+      { header: 'Colour', value: (l) => l.color },
+      { header: 'WhatsApp Number', value: (l) => l.whatsappNumber },
+      { header: 'Agent', value: (l) => l.agent && l.agent.name },
+      { header: 'Source', value: (l) => l.source },
+      { header: 'Coupon', value: (l) => l.coupon },
+      { header: 'Referrer', value: (l) => l.referrer },
+      { header: 'User', value: (l) => l.user && l.user.email },
+      { header: 'Status', value: (l) => l.status },
+      { header: 'Followed Up At', value: (l) => l.followedUpAt },
+      { header: 'Converted At', value: (l) => l.convertedAt },
+      { header: 'Notes', value: (l) => l.notes }
+    ]);
+
+    const filename = `leads-${new Date().toISOString().slice(0, 10)}.csv`;
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(csv);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting leads',
+      error: error.message
+    });
+  }
+});
+
+// 4) PUT /api/leads/:id/follow-up (lead:manage)
+//    Mark a lead as followed up; expects JSON { notes }. Send { undo: true } to reopen.
+router.put('/leads/:id/follow-up', protect, requirePermission('lead:manage'), async (req, res) => {
+  try {
+    const { notes, undo } = req.body;
+
+    const lead = await Lead.findById(req.params.id);
+    if (!lead) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lead not found'
+      });
+    }
+
+    if (lead.status === 'converted') {
+      return res.status(409).json({
+        success: false,
+        message: 'Lead has already been converted'
+      });
+    }
+
+    if (undo === true || undo === 'true') {
+      lead.status = 'new';
+      lead.followedUpAt = null;
+      lead.followedUpBy = null;
+    } else {
+      lead.status = 'followed-up';
+      lead.followedUpAt = new Date();
+      lead.followedUpBy = req.user.id;
+    }
+    if (notes !== undefined) lead.notes = notes;
+
+    await lead.save();
+
+    res.json({
+      success: true,
+      message: lead.status === 'followed-up' ? 'Lead marked as followed up' : 'Lead reopened',
+      data: lead
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating lead',
+      error: error.message
+    });
+  }
+});
+
+// 5) PUT /api/leads/:id/convert (lead:manage)
+//    Mark a lead as converted (the customer bought); expects JSON { notes }.
+//    This is when a coupon quoted in the enquiry is counted as used — once
+//    per enquiry, however many of a cart enquiry's leads are converted.
+router.put('/leads/:id/convert', protect, requirePermission('lead:manage'), async (req, res) => {
+  try {
+    const { notes } = req.body || {};
+
+    const lead = await Lead.findById(req.params.id);
+    if (!lead) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lead not found'
+      });
+    }
+    if (lead.status === 'converted') {
+      return res.status(409).json({
+        success: false,
+        message: 'Lead has already been converted'
+      });
+    }
+
+    let couponWarning = null;
+    const redeemedBefore = lead.coupon && lead.enquiry &&
+      await Lead.exists({ enquiry: lead.enquiry, couponRedeemed: true });
+    if (lead.coupon && !redeemedBefore) {
+      const coupon = await Coupon.findOne({ code: normalizeCode(lead.coupon) });
+      if (coupon && (await redeemCoupon(coupon))) {
+        lead.couponRedeemed = true;
+      } else {
+        couponWarning = coupon
+          ? 'The coupon has reached its usage limit; this use was not counted'
+          : 'The coupon no longer exists; this use was not counted';
+      }
+    }
+
+    lead.status = 'converted';
+    lead.convertedAt = new Date();
+    lead.convertedBy = req.user.id;
+    if (notes !== undefined) lead.notes = notes;
+    await lead.save();
+
+    res.json({
+      success: true,
+      message: 'Lead marked as converted',
+      couponWarning,
+      data: lead
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating lead',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
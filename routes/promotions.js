@@ -0,0 +1,218 @@
+// routes/promotions.js
+
+const express = require('express');
+const router = express.Router();
+const { Category, Dress } = require('../models/model');
+const { Promotion } = require('../models/promotionModel');
+const { protect, requirePermission } = require('../middleware/auth');
+const { loadPromotions, runningPromotions, promotionSummary } = require('../utils/promotions');
+
+// Fields an admin may set on a promotion
+const pickPromotionFields = (body) => {
+  const fields = {};
+  [
+    'name', 'description', 'type', 'value', 'storeWide',
+    'categories', 'tags', 'dresses', 'startsAt', 'endsAt', 'isActive'
+  ].forEach((key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+  });
+  return fields;
+};
+
+// Filter for the active dresses a promotion covers
+const coveredDressFilter = async (promotion) => {
+  if (promotion.storeWide) return { isActive: true };
+
+  const categoryIds = promotion.categories.length > 0
+    ? await Category.find({
+        $or: [{ _id: { $in: promotion.categories } }, { ancestors: { $in: promotion.categories } }]
+      }).distinct('_id')
+    : [];
+  return {
+    isActive: true,
+    $or: [
+      { _id: { $in: promotion.dresses } },
+      { category: { $in: categoryIds } },
+      { tags: { $in: promotion.tags } }
+    ]
+  };
+};
+
+// =====================
+// PUBLIC
+// =====================
+
+// 1) GET /api/promotions/active (public)
+//    Promotions running right now, for sale banners
+router.get('/promotions/active', async (req, res) => {
+  try {
+    await loadPromotions();
+    const promotions = runningPromotions().map((p) => ({
+      ...promotionSummary(p),
+      description: p.description,
+      storeWide: p.storeWide,
+      startsAt: p.startsAt
+    }));
+
+    res.json({ success: true, count: promotions.length, data: promotions });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching promotions',
+      error: error.message
+    });
+  }
+});
+
+// =====================
+// ADMIN
+// =====================
+
+// 2) GET /api/promotions (promotion:manage)
+//    Filter: status (inactive | scheduled | running | ended)
+router.get('/promotions', protect, requirePermission('promotion:manage'), async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const promotions = await Promotion.find()
+      .populate('categories', 'name path')
+      .populate('createdBy', 'username')
+      .sort({ startsAt: -1 })
+      .select('-__v');
+
+    const data = status ? promotions.filter((p) => p.status === status) : promotions;
+    res.json({ success: true, count: data.length, data });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching promotions',
+      error: error.message
+    });
+  }
+});
+
+// 3) GET /api/promotions/:id (promotion:manage)
+//    One promotion with the number of active dresses it covers
+router.get('/promotions/:id', protect, requirePermission('promotion:manage'), async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id).select('-__v');
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    const dressCount = await Dress.countDocuments(await coveredDressFilter(promotion));
+    await promotion.populate([
+      { path: 'categories', select: 'name path' },
+      { path: 'dresses', select: 'name sku price' }
+    ]);
+
+    res.json({
+      success: true,
+      data: promotion,
+      dressCount
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching promotion',
+      error: error.message
+    });
+  }
+});
+
+// 4) POST /api/promotions (promotion:manage)
+//    Expects JSON { name, description, type: percentage | flat, value,
+//    storeWide, categories: [id], tags: [tag], dresses: [id], startsAt, endsAt }
+router.post('/promotions', protect, requirePermission('promotion:manage'), async (req, res) => {
+  try {
+    const promotion = await Promotion.create({
+      ...pickPromotionFields(req.body),
+      createdBy: req.user.id
+    });
+    await loadPromotions({ force: true });
+
+    res.status(201).json({
+      success: true,
+      message: 'Promotion created successfully',
+      data: promotion
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error creating promotion',
+      error: error.message
+    });
+  }
+});
+
+// 5) PUT /api/promotions/:id (promotion:manage)
+//    Update any field; isActive=false ends a promotion early
+router.put('/promotions/:id', protect, requirePermission('promotion:manage'), async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id);
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    Object.assign(promotion, pickPromotionFields(req.body));
+    await promotion.save();
+    await loadPromotions({ force: true });
+
+    res.json({
+      success: true,
+      message: 'Promotion updated successfully',
+      data: promotion
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error updating promotion',
+      error: error.message
+    });
+  }
+});
+
+// 6) DELETE /api/promotions/:id (promotion:manage)
+router.delete('/promotions/:id', protect, requirePermission('promotion:manage'), async (req, res) => {
+  try {
+    const promotion = await Promotion.findByIdAndDelete(req.params.id);
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+    await loadPromotions({ force: true });
+
+    res.json({
+      success: true,
+      message: 'Promotion deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting promotion',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,468 @@
+// routes/reviews.js
+
+const express = require('express');
+const router = express.Router();
+const { Dress } = require('../models/model');
+const Review = require('../models/reviewModel');
+const User = require('../models/userModel');
+const { protect, requirePermission, usersOnly } = require('../middleware/auth');
+const { hasPermission } = require('../config/permissions');
+const {
+  uploadReviewPhotos,
+  handleMulterError,
+  isReviewPhotoOf,
+  deleteMultipleFromCloudinary
+} = require('../middleware/upload');
+
+const MODERATION_ACTIONS = {
+  approve: 'approved',
+  reject: 'rejected',
+  hide: 'hidden'
+};
+
+// Photos are only accepted as files uploaded through this server (multipart
+// field "photos"), never as client-supplied { url, public_id } pairs, so a
+// review can't claim — and later destroy — a catalog image.
+const uploadedPhotos = (req) =>
+  (req.files || []).map((file) => ({ url: file.path, public_id: file.filename }));
+
+// Destroy review photos, but only ones uploaded by the review's author.
+// Runs after the review is saved / deleted, so a Cloudinary failure is only
+// logged (in deleteMultipleFromCloudinary).
+const destroyReviewPhotos = async (publicIds, userId) => {
+  const owned = publicIds.filter((id) => isReviewPhotoOf(id, userId));
+  if (owned.length > 0) await deleteMultipleFromCloudinary(owned).catch(() => null);
+};
+
+// Remove this request's uploads again when the review isn't saved
+const discardUploads = (req) =>
+  destroyReviewPhotos(uploadedPhotos(req).map((p) => p.public_id), req.user.id);
+
+// 400 response for clients still sending photos as { url, public_id } data
+const rejectPhotoData = async (req, res) => {
+  await discardUploads(req);
+  return res.status(400).json({
+    success: false,
+    message: 'Upload review photos as image files in the "photos" field'
+  });
+};
+
+// Parse keepPhotos (JSON string or array of public_ids)
+const parseIdList = (value) => {
+  const list = typeof value === 'string' && value.trim().startsWith('[') ? JSON.parse(value) : value;
+  return (Array.isArray(list) ? list : [list]).map(String);
+};
+
+// Checked before the upload so unverified users don't store photos
+const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('emailVerified');
+    if (!user || !user.emailVerified) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email before writing a review'
+      });
+    }
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error creating review',
+      error: error.message
+    });
+  }
+};
+
+// =====================
+// PUBLIC
+// =====================
+
+// 1) GET /api/dress/:id/reviews (public)
+//    Approved reviews, most helpful first (?sort=recent | rating | -rating)
+router.get('/dress/:id/reviews', async (req, res) => {
+  try {
+    const { sort = 'helpful', page = 1, limit = 10 } = req.query;
+    const filter = { dress: req.params.id, status: 'approved' };
+
+    const pageNum = Math.max(1, parseInt(page));
+    const limitNum = Math.max(1, Math.min(50, parseInt(limit)));
+    const skip = (pageNum - 1) * limitNum;
+
+    const sortOptions = {
+      helpful: { helpfulCount: -1, createdAt: -1 },
+      recent: { createdAt: -1 },
+      rating: { rating: 1, createdAt: -1 },
+      '-rating': { rating: -1, createdAt: -1 }
+    };
+
+    const reviews = await Review.find(filter)
+      .populate('user', 'username')
+      .sort(sortOptions[sort] || sortOptions.helpful)
+      .limit(limitNum)
+      .skip(skip)
+      .select('-moderatedBy -moderationNote');
+
+    const total = await Review.countDocuments(filter);
+
+    res.json({
+      success: true,
+      count: reviews.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      data: reviews
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reviews',
+      error: error.message
+    });
+  }
+});
+
+// =====================
+// CUSTOMER
+// =====================
+
+// 2) POST /api/dress/:id/reviews (logged in, verified email)
+//    Create the current user's review; expects { rating, title, text } as JSON,
+//    or as multipart form data with up to 5 image files in "photos".
+//    New reviews wait in the moderation queue.
+router.post(
+  '/dress/:id/reviews',
+  protect,
+  usersOnly,
+  requireVerifiedEmail,
+  uploadReviewPhotos.array('photos', 5),
+  handleMulterError,
+  async (req, res) => {
+    try {
+      const { rating, title, text, photos } = req.body;
+      if (photos !== undefined) return rejectPhotoData(req, res);
+
+      const dress = await Dress.findOne({ _id: req.params.id, ...Dress.liveFilter() }).select('_id');
+      if (!dress) {
+        await discardUploads(req);
+        return res.status(404).json({
+          success: false,
+          message: 'Dress not found'
+        });
+      }
+
+      const review = await Review.create({
+        dress: dress._id,
+        user: req.user.id,
+        rating: Number(rating),
+        title,
+        text,
+        photos: uploadedPhotos(req)
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Review submitted and awaiting moderation',
+        data: review
+      });
+    } catch (error) {
+      await discardUploads(req);
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: 'You have already reviewed this dress'
+        });
+      }
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      res.status(500).json({
+        success: false,
+        message: 'Error creating review',
+        error: error.message
+      });
+    }
+  }
+);
+
+// 3) GET /api/reviews/mine (logged in)
+//    The current user's reviews in every state
+router.get('/reviews/mine', protect, usersOnly, async (req, res) => {
+  try {
+    const reviews = await Review.find({ user: req.user.id })
+      .populate('dress', 'name sku images')
+      .sort({ createdAt: -1 });
+
+    res.json({ success: true, count: reviews.length, data: reviews });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reviews',
+      error: error.message
+    });
+  }
+});
+
+// 4) PUT /api/reviews/:id (owner)
+//    Edit own review; it goes back to the moderation queue. Photos: new image
+//    files in "photos" are added; keepPhotos (public_ids of the review's
+//    current photos) drops the ones left out. Without either, photos stay.
+router.put(
+  '/reviews/:id',
+  protect,
+  usersOnly,
+  uploadReviewPhotos.array('photos', 5),
+  handleMulterError,
+  async (req, res) => {
+    try {
+      const { rating, title, text, photos, keepPhotos } = req.body;
+      if (photos !== undefined) return rejectPhotoData(req, res);
+
+      const review = await Review.findOne({ _id: req.params.id, user: req.user.id });
+      if (!review) {
+        await discardUploads(req);
+        return res.status(404).json({
+          success: false,
+          message: 'Review not found'
+        });
+      }
+
+      let keepIds;
+      try {
+        if (keepPhotos !== undefined) keepIds = parseIdList(keepPhotos);
+      } catch (parseError) {
+        await discardUploads(req);
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid JSON format in request data'
+        });
+      }
+
+      const currentIds = review.photos.map((p) => p.public_id);
+      if (keepIds && keepIds.some((id) => !currentIds.includes(id))) {
+        await discardUploads(req);
+        return res.status(400).json({
+          success: false,
+          message: 'keepPhotos may only list photos of this review'
+        });
+      }
+
+      // Photos dropped by the edit are removed from Cloudinary after saving
+      let removedPhotoIds = [];
+      const added = uploadedPhotos(req);
+      if (keepIds || added.length > 0) {
+        const keep = new Set(keepIds || currentIds);
+        removedPhotoIds = currentIds.filter((id) => !keep.has(id));
+        review.photos = [...review.photos.filter((p) => keep.has(p.public_id)), ...added];
+      }
+
+      if (rating !== undefined) review.rating = Number(rating);
+      if (title !== undefined) review.title = title;
+      if (text !== undefined) review.text = text;
+      review.status = 'pending';
+      review.moderatedBy = null;
+      review.moderatedAt = null;
+
+      await review.save();
+      await destroyReviewPhotos(removedPhotoIds, review.user);
+
+      res.json({
+        success: true,
+        message: 'Review updated and awaiting moderation',
+        data: review
+      });
+    } catch (error) {
+      await discardUploads(req);
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      res.status(500).json({
+        success: false,
+        message: 'Error updating review',
+        error: error.message
+      });
+    }
+  }
+);
+
+// 5) DELETE /api/reviews/:id (owner or review:moderate)
+//    Delete a review and its photos (only photos its author uploaded)
+router.delete('/reviews/:id', protect, usersOnly, async (req, res) => {
+  try {
+    const canModerate = hasPermission(req.user.role, 'review:moderate');
+
+    const filter = { _id: req.params.id };
+    if (!canModerate) filter.user = req.user.id;
+
+    const review = await Review.findOneAndDelete(filter);
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    await destroyReviewPhotos(review.photos.map((p) => p.public_id), review.user);
+
+    res.json({
+      success: true,
+      message: 'Review deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting review',
+      error: error.message
+    });
+  }
+});
+
+// 6) POST /api/reviews/:id/helpful (logged in)
+//    Toggle the current user's "helpful" vote on an approved review
+router.post('/reviews/:id/helpful', protect, usersOnly, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    // Add the vote if not yet present…
+    let review = await Review.findOneAndUpdate(
+      { _id: id, status: 'approved', user: { $ne: userId }, helpfulVoters: { $ne: userId } },
+      { $addToSet: { helpfulVoters: userId }, $inc: { helpfulCount: 1 } },
+      { new: true }
+    );
+    let voted = true;
+
+    // …otherwise remove it
+    if (!review) {
+      review = await Review.findOneAndUpdate(
+        { _id: id, status: 'approved', helpfulVoters: userId },
+        { $pull: { helpfulVoters: userId }, $inc: { helpfulCount: -1 } },
+        { new: true }
+      );
+      voted = false;
+    }
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      voted,
+      helpfulCount: review.helpfulCount
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error voting on review',
+      error: error.message
+    });
+  }
+});
+
+// =====================
+// MODERATION
+// =====================
+
+// 7) GET /api/reviews/moderation (review:moderate)
+//    Moderation queue; ?status=pending (default) | approved | rejected | hidden
+router.get(
+  '/reviews/moderation',
+  protect,
+  requirePermission('review:moderate'),
+  async (req, res) => {
+    try {
+      const { status = 'pending', dress, page = 1, limit = 20 } = req.query;
+
+      const filter = { status };
+      if (dress) filter.dress = dress;
+
+      const pageNum = Math.max(1, parseInt(page));
+      const limitNum = Math.max(1, Math.min(100, parseInt(limit)));
+      const skip = (pageNum - 1) * limitNum;
+
+      const reviews = await Review.find(filter)
+        .populate('user', 'username email')
+        .populate('dress', 'name sku')
+        .sort({ createdAt: 1 }) // oldest first
+        .limit(limitNum)
+        .skip(skip);
+
+      const total = await Review.countDocuments(filter);
+
+      res.json({
+        success: true,
+        count: reviews.length,
+        total,
+        page: pageNum,
+        pages: Math.ceil(total / limitNum),
+        data: reviews
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching moderation queue',
+        error: error.message
+      });
+    }
+  }
+);
+
+// 8) PUT /api/reviews/:id/moderate (review:moderate)
+//    Expects JSON { action: 'approve' | 'reject' | 'hide', note }
+router.put(
+  '/reviews/:id/moderate',
+  protect,
+  requirePermission('review:moderate'),
+  async (req, res) => {
+    try {
+      const { action, note } = req.body;
+      const status = MODERATION_ACTIONS[action];
+
+      if (!status) {
+        return res.status(400).json({
+          success: false,
+          message: `action must be one of: ${Object.keys(MODERATION_ACTIONS).join(', ')}`
+        });
+      }
+
+      const review = await Review.findById(req.params.id);
+      if (!review) {
+        return res.status(404).json({
+          success: false,
+          message: 'Review not found'
+        });
+      }
+
+      review.status = status;
+      review.moderatedBy = req.user.id;
+      review.moderatedAt = new Date();
+      if (note !== undefined) review.moderationNote = note;
+
+      // Saving recalculates the dress rating
+      await review.save();
+
+      res.json({
+        success: true,
+        message: `Review ${status}`,
+        data: review
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error moderating review',
+        error: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
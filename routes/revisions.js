@@ -0,0 +1,226 @@
+// routes/revisions.js
+
+const express = require('express');
+const router = express.Router();
+const { Category, Dress } = require('../models/model');
+const { Revision } = require('../models/revisionModel');
+const { protect, requirePermission } = require('../middleware/auth');
+const { snapshotOf, recordRevision } = require('../utils/audit');
+const {
+  recordClosingStock,
+  removedEntries,
+  variantKey,
+  sizeKey
+} = require('../utils/inventory');
+
+// Dress fields a rollback restores. Images are left alone (removed images are
+// destroyed on Cloudinary), as are the SKU and stock (owned by the ledger).
+const ROLLBACK_FIELDS = [
+  'name', 'description', 'category', 'price', 'colors', 'material',
+  'careInstructions', 'translations', 'tags', 'isActive', 'status',
+  'publishAt', 'unpublishAt', 'isFeatured', 'sortOrder', 'whatsappNumber',
+  'whatsappMessage', 'lowStockThreshold'
+];
+
+// Shared list handler for the history / audit endpoints. Snapshots are only
+// included with ?snapshots=true.
+const listRevisions = async (filter, query) => {
+  const { page = 1, limit = 50, snapshots } = query;
+  const pageNum = Math.max(1, parseInt(page));
+  const limitNum = Math.max(1, Math.min(200, parseInt(limit)));
+  const skip = (pageNum - 1) * limitNum;
+
+  const revisions = await Revision.find(filter)
+    .populate('user', 'username email')
+    .sort({ createdAt: -1, version: -1 })
+    .limit(limitNum)
+    .skip(skip)
+    .select(snapshots === 'true' ? '-__v' : '-__v -snapshot');
+  const total = await Revision.countDocuments(filter);
+
+  return {
+    success: true,
+    count: revisions.length,
+    total,
+    page: pageNum,
+    pages: Math.ceil(total / limitNum),
+    data: revisions
+  };
+};
+
+// =====================
+// HISTORY
+// =====================
+
+// 1) GET /api/dress/:id/history (audit:read)
+//    Revisions of one dress, newest first (trashed and purged dresses included)
+router.get('/dress/:id/history', protect, requirePermission('audit:read'), async (req, res) => {
+  try {
+    res.json(await listRevisions({ model: 'Dress', document: req.params.id }, req.query));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching dress history',
+      error: error.message
+    });
+  }
+});
+
+// 2) GET /api/dress/:id/history/:version (audit:read)
+//    One revision with the full snapshot, e.g. to preview a rollback
+router.get('/dress/:id/history/:version', protect, requirePermission('audit:read'), async (req, res) => {
+  try {
+    const revision = await Revision.findOne({
+      model: 'Dress',
+      document: req.params.id,
+      version: parseInt(req.params.version)
+    })
+      .populate('user', 'username email')
+      .select('-__v');
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    res.json({ success: true, data: revision });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching revision',
+      error: error.message
+    });
+  }
+});
+
+// 3) GET /api/category/:id/history (audit:read)
+router.get('/category/:id/history', protect, requirePermission('audit:read'), async (req, res) => {
+  try {
+    res.json(await listRevisions({ model: 'Category', document: req.params.id }, req.query));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching category history',
+      error: error.message
+    });
+  }
+});
+
+// 4) GET /api/audit (audit:read)
+//    Global feed of catalog changes; filters: user, model (Dress | Category),
+//    action, from, to (ISO dates)
+router.get('/audit', protect, requirePermission('audit:read'), async (req, res) => {
+  try {
+    const { user, model, action, from, to } = req.query;
+
+    const filter = {};
+    if (user) filter.user = user;
+    if (model) filter.model = model;
+    if (action) filter.action = action;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    res.json(await listRevisions(filter, req.query));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching audit log',
+      error: error.message
+    });
+  }
+});
+
+// =====================
+// ROLLBACK
+// =====================
+
+// 5) POST /api/dress/:id/rollback (dress:update)
+//    Restore a dress's catalog fields to an earlier revision; expects JSON
+//    { version }. Recorded as a new "rollback" revision. Images, SKU and stock
+//    are kept as they are now; variants keep their current stock (revived ones
+//    start at 0). Stock of variants the revision doesn't have is closed in the
+//    ledger.
+router.post('/dress/:id/rollback', protect, requirePermission('dress:update'), async (req, res) => {
+  try {
+    const version = parseInt(req.body && req.body.version);
+    if (!Number.isInteger(version) || version < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the version to roll back to'
+      });
+    }
+
+    const dress = await Dress.findById(req.params.id);
+    if (!dress) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dress not found'
+      });
+    }
+
+    const revision = await Revision.findOne({ model: 'Dress', document: dress._id, version });
+    if (!revision || !revision.snapshot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+    const target = revision.snapshot;
+
+    if (target.category && !(await Category.exists({ _id: target.category }))) {
+      return res.status(409).json({
+        success: false,
+        message: 'The category of that revision no longer exists (or is in the trash)'
+      });
+    }
+
+    const before = snapshotOf(dress);
+    // Fields missing from the snapshot were unset at that revision
+    ROLLBACK_FIELDS.forEach((field) => dress.set(field, target[field]));
+
+    let removedStock = null; // { field, entries }
+    const current = new Map(dress.variants.map((v) => [variantKey(v), v.stock]));
+    if (Array.isArray(target.variants) && target.variants.length > 0) {
+      removedStock = dress.variants.length > 0
+        ? { field: 'variants', entries: removedEntries(dress.variants, target.variants, variantKey) }
+        : { field: 'sizes', entries: removedEntries(dress.sizes, [], sizeKey) };
+      dress.variants = target.variants.map((v) => ({ ...v, stock: current.get(variantKey(v)) || 0 }));
+    } else if (Array.isArray(target.sizes) && dress.variants.length === 0) {
+      removedStock = { field: 'sizes', entries: removedEntries(dress.sizes, target.sizes, sizeKey) };
+      const sizeStock = new Map(dress.sizes.map((s) => [s.size, s.stock]));
+      dress.sizes = target.sizes.map((s) => ({ ...s, stock: sizeStock.get(s.size) || 0 }));
+    }
+
+    await dress.save();
+    if (removedStock) {
+      await recordClosingStock(dress, removedStock.field, removedStock.entries, req.user);
+    }
+    const rollback = await recordRevision(dress, 'rollback', req.user, before, { rolledBackTo: version });
+    await dress.populate('category', 'name slug');
+
+    res.json({
+      success: true,
+      message: `Dress rolled back to version ${version}`,
+      revision: rollback ? rollback.version : null,
+      data: dress
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error rolling back dress',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
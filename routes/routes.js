@@ -2,26 +2,55 @@
 
 const express = require('express');
 const router = express.Router();
-const { Category, Dress } = require('../models/model');
+const {
+  Category,
+  Dress,
+  PUBLICATION_STATUSES,
+  SELLABLE_MATCH,
+  isSellable
+} = require('../models/model');
 const {
   deleteFromCloudinary,
   deleteMultipleFromCloudinary
 } = require('../middleware/upload');
 
 // Import auth middleware
-const { protect, adminOnly } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
+const { resolveCurrency } = require('../middleware/currency');
+const {
+  recordOpeningStock,
+  recordClosingStock,
+  preserveStock,
+  removedEntries,
+  variantKey,
+  sizeKey
+} = require('../utils/inventory');
+const { DRESS_SORT_OPTIONS, findDressesPage } = require('../utils/catalogQuery');
+const { convertAmount, toBaseBound, localizeDress } = require('../utils/currency');
+const { translatedField, translateCategory, translateDress } = require('../utils/locale');
+const { purgeAfter } = require('../utils/trash');
+const { snapshotOf, recordRevision } = require('../utils/audit');
+const { TRANSLATION_LOCALES } = require('../config/locales');
 
 // =====================
 // CATEGORY ROUTES
 // =====================
 
+// Every public catalog route answers in req.locale (?lang= / Accept-Language,
+// see middleware/locale.js); names fall back to the default locale
+
 // 1) GET /api/categories (public)
 router.get('/categories', async (req, res) => {
   try {
     const categories = await Category.find({ isActive: true })
       .sort({ sortOrder: 1, createdAt: -1 })
       .select('-__v');
-    res.json({ success: true, count: categories.length, data: categories });
+    res.json({
+      success: true,
+      count: categories.length,
+      locale: req.locale,
+      data: categories.map((c) => translateCategory(c, req.locale))
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -31,14 +60,36 @@ router.get('/categories', async (req, res) => {
   }
 });
 
+// 1a) GET /api/categories/tree (public)
+//    Active categories nested under their parents ({ ...category, children })
+router.get('/categories/tree', async (req, res) => {
+  try {
+    const categories = await Category.find({ isActive: true })
+      .sort({ sortOrder: 1, name: 1 })
+      .select('-__v')
+      .lean();
+    res.json({
+      success: true,
+      locale: req.locale,
+      data: Category.buildTree(categories.map((c) => translateCategory(c, req.locale)))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching category tree',
+      error: error.message
+    });
+  }
+});
+
 // 2) GET /api/category/:identifier (public)
-router.get('/category/:identifier', async (req, res) => {
+//    By ID, slug or slug path (/api/category/women/ethnic); includes
+//    breadcrumbs and direct subcategories
+router.get('/category/*segments', async (req, res) => {
   try {
-    const { identifier } = req.params;
-    const isObjectId = /^[0-9a-fA-F]{24}$/.test(identifier);
-    const query = isObjectId ? { _id: identifier } : { slug: identifier };
+    const identifier = req.params.segments.filter(Boolean).join('/');
 
-    const category = await Category.findOne({ ...query, isActive: true });
+    const category = await Category.findByIdentifier(identifier, { isActive: true });
     if (!category) {
       return res.status(404).json({
         success: false,
@@ -46,7 +97,17 @@ router.get('/category/:identifier', async (req, res) => {
       });
     }
 
-    res.json({ success: true, data: category });
+    const children = await Category.find({ parent: category._id, isActive: true })
+      .sort({ sortOrder: 1, name: 1 })
+      .select('name slug path image sortOrder translations');
+
+    res.json({
+      success: true,
+      locale: req.locale,
+      data: translateCategory(category, req.locale),
+      breadcrumbs: await category.breadcrumbs(req.locale),
+      children: children.map((c) => translateCategory(c, req.locale))
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -56,15 +117,16 @@ router.get('/category/:identifier', async (req, res) => {
   }
 });
 
-// 3) POST /api/category (admin only)
-//    Create a new category; expects JSON { name, description, sortOrder, imageUrl, public_id }
+// 3) POST /api/category (category:create)
+//    Create a new category; expects JSON { name, description, parent, sortOrder, imageUrl, public_id, whatsappTemplate }
+//    `parent` is a category ID or slug path; omit it for a top-level category
 router.post(
   '/category',
   protect,
-  adminOnly,
+  requirePermission('category:create'),
   async (req, res) => {
     try {
-      const { name, description, sortOrder, imageUrl, public_id } = req.body;
+      const { name, description, parent, sortOrder, imageUrl, public_id, whatsappTemplate } = req.body;
 
       if (!imageUrl || !public_id) {
         return res.status(400).json({
@@ -73,14 +135,26 @@ router.post(
         });
       }
 
+      const parentCategory = parent ? await Category.findByIdentifier(parent) : null;
+      if (parent && !parentCategory) {
+        await deleteFromCloudinary(public_id);
+        return res.status(400).json({
+          success: false,
+          message: 'Parent category not found'
+        });
+      }
+
       const category = new Category({
         name,
         description,
+        parent: parentCategory ? parentCategory._id : null,
         image: { url: imageUrl, public_id },
-        sortOrder: sortOrder || 0
+        sortOrder: sortOrder || 0,
+        whatsappTemplate
       });
 
       const savedCategory = await category.save();
+      await recordRevision(savedCategory, 'create', req.user);
       res.status(201).json({
         success: true,
         message: 'Category created successfully',
@@ -95,7 +169,13 @@ router.post(
       if (error.code === 11000) {
         return res.status(400).json({
           success: false,
-          message: 'Category name already exists'
+          message: 'A category with this name already exists at this level (it may be in the trash)'
+        });
+      }
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
         });
       }
 
@@ -108,16 +188,18 @@ router.post(
   }
 );
 
-// 4) PUT /api/category/:id (admin only)
-//    Update fields and optionally replace its image
+// 4) PUT /api/category/:id (category:update)
+//    Update fields and optionally replace its image.
+//    `parent` moves the category (ID or slug path; null for top level);
+//    its subcategories move with it.
 router.put(
   '/category/:id',
   protect,
-  adminOnly,
+  requirePermission('category:update'),
   async (req, res) => {
     try {
       const { id } = req.params;
-      const { name, description, sortOrder, isActive, imageUrl, public_id } = req.body;
+      const { name, description, parent, sortOrder, isActive, imageUrl, public_id, whatsappTemplate } = req.body;
 
       const category = await Category.findById(id);
       if (!category) {
@@ -126,12 +208,24 @@ router.put(
           message: 'Category not found'
         });
       }
+      const before = snapshotOf(category);
 
       // Update provided fields
       if (name) category.name = name;
       if (description !== undefined) category.description = description;
       if (sortOrder !== undefined) category.sortOrder = sortOrder;
       if (isActive !== undefined) category.isActive = isActive;
+      if (whatsappTemplate !== undefined) category.whatsappTemplate = whatsappTemplate || undefined;
+      if (parent !== undefined) {
+        const parentCategory = parent ? await Category.findByIdentifier(parent) : null;
+        if (parent && !parentCategory) {
+          return res.status(400).json({
+            success: false,
+            message: 'Parent category not found'
+          });
+        }
+        category.parent = parentCategory ? parentCategory._id : null;
+      }
 
       // Replace image if provided
       if (imageUrl && public_id) {
@@ -141,6 +235,7 @@ router.put(
       }
 
       const updatedCategory = await category.save();
+      await recordRevision(updatedCategory, 'update', req.user, before);
       res.json({
         success: true,
         message: 'Category updated successfully',
@@ -152,6 +247,12 @@ router.put(
         await deleteFromCloudinary(req.body.public_id);
       }
 
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
       res.status(500).json({
         success: false,
         message: 'Error updating category',
@@ -161,12 +262,14 @@ router.put(
   }
 );
 
-// 5) DELETE /api/category/:id (admin only)
-//    Delete category only if no dresses reference it
+// 5) DELETE /api/category/:id (category:delete)
+//    Move a category to the trash, only if it has no subcategories and no
+//    dresses outside the trash. Its image is kept until the purge job runs
+//    (see utils/trash.js); POST /api/trash/categories/:id/restore undoes it.
 router.delete(
   '/category/:id',
   protect,
-  adminOnly,
+  requirePermission('category:delete'),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -178,6 +281,15 @@ router.delete(
         });
       }
 
+      // If there are subcategories, don’t delete (they would be orphaned)
+      const childCount = await Category.countDocuments({ parent: id });
+      if (childCount > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot delete category. It has ${childCount} subcategories; move or delete them first.`
+        });
+      }
+
       // If there are dresses in this category, don’t delete
       const dressCount = await Dress.countDocuments({ category: id });
       if (dressCount > 0) {
@@ -187,15 +299,14 @@ router.delete(
         });
       }
 
-      // Delete the Cloudinary image
-      await deleteFromCloudinary(category.image.public_id);
-
-      // Delete the document
-      await Category.findByIdAndDelete(id);
+      const before = snapshotOf(category);
+      await category.moveToTrash(req.user.id);
+      await recordRevision(category, 'delete', req.user, before);
 
       res.json({
         success: true,
-        message: 'Category deleted successfully'
+        message: 'Category moved to trash',
+        purgeAfter: purgeAfter(category.deletedAt)
       });
     } catch (error) {
       res.status(500).json({
@@ -212,8 +323,10 @@ router.delete(
 // =====================
 
 // 6) GET /api/dresses (public)
-//    Get all active dresses with optional filters, pagination, sorting
-router.get('/dresses', async (req, res) => {
+//    Get all live dresses (published, inside their publishAt / unpublishAt
+//    window) with optional filters, pagination, sorting.
+//    ?currency= converts prices; minPrice / maxPrice are in that currency.
+router.get('/dresses', resolveCurrency, async (req, res) => {
   try {
     const {
       category,
@@ -223,51 +336,63 @@ router.get('/dresses', async (req, res) => {
       size,
       color,
       material,
+      includeChildren = 'true',
       sort = '-createdAt',
       page = 1,
       limit = 12
     } = req.query;
 
     // Build filter object
-    const filter = { isActive: true };
+    const filter = { ...Dress.liveFilter() };
 
-    if (category) filter.category = category;
+    // Category by ID or slug path; dresses in subcategories are included
+    // unless includeChildren=false
+    if (category) {
+      const match = await Category.findByIdentifier(category, { isActive: true });
+      if (!match) {
+        return res.status(404).json({
+          success: false,
+          message: 'Category not found'
+        });
+      }
+      filter.category = includeChildren === 'false'
+        ? match._id
+        : { $in: await Category.subtreeIds(match._id, { isActive: true }) };
+    }
     if (featured === 'true') filter.isFeatured = true;
-    if (size) filter['sizes.size'] = size;
-    if (color) filter['colors.name'] = new RegExp(color, 'i');
-    if (material) filter.material = new RegExp(material, 'i');
 
-    // Price range filter
-    if (minPrice || maxPrice) {
-      filter['price.original'] = {};
-      if (minPrice) filter['price.original'].$gte = Number(minPrice);
-      if (maxPrice) filter['price.original'].$lte = Number(maxPrice);
+    // Size / colour: match a sellable variant (available, in stock) with that
+    // combination, as the cart and enquiry checks do; dresses not yet migrated
+    // to variants fall back to the legacy sizes / colors lists
+    if (size || color) {
+      const variantMatch = { ...SELLABLE_MATCH };
+      const legacyMatch = { 'variants.0': { $exists: false } };
+      if (size) {
+        variantMatch.size = size;
+        legacyMatch.sizes = { $elemMatch: { size, ...SELLABLE_MATCH } };
+      }
+      if (color) {
+        variantMatch.color = new RegExp(color, 'i');
+        legacyMatch['colors.name'] = new RegExp(color, 'i');
+      }
+      filter.$or = [{ variants: { $elemMatch: variantMatch } }, legacyMatch];
     }
+    if (material) filter.material = new RegExp(material, 'i');
 
     // Pagination
     const pageNum = Math.max(1, parseInt(page));
     const limitNum = Math.max(1, Math.min(50, parseInt(limit)));
     const skip = (pageNum - 1) * limitNum;
 
-    // Sort mapping
-    const sortOptions = {
-      '-createdAt': { createdAt: -1 },
-      createdAt: { createdAt: 1 },
-      price: { 'price.original': 1 },
-      '-price': { 'price.original': -1 },
-      name: { name: 1 },
-      '-name': { name: -1 },
-      featured: { isFeatured: -1, createdAt: -1 }
-    };
-
-    const dresses = await Dress.find(filter)
-      .populate('category', 'name slug')
-      .sort(sortOptions[sort] || { createdAt: -1 })
-      .limit(limitNum)
-      .skip(skip)
-      .select('-__v');
-
-    const total = await Dress.countDocuments(filter);
+    // Price range and price sorting use the effective (promotional) price
+    const { dresses, total } = await findDressesPage({
+      filter,
+      minPrice: toBaseBound(minPrice, req.currency, 'min'),
+      maxPrice: toBaseBound(maxPrice, req.currency, 'max'),
+      sort: DRESS_SORT_OPTIONS[sort] || { createdAt: -1 },
+      skip,
+      limit: limitNum
+    });
 
     res.json({
       success: true,
@@ -275,7 +400,9 @@ router.get('/dresses', async (req, res) => {
       total,
       page: pageNum,
       pages: Math.ceil(total / limitNum),
-      data: dresses
+      currency: req.currency.code,
+      locale: req.locale,
+      data: dresses.map((d) => translateDress(localizeDress(d, req.currency), req.locale))
     });
   } catch (error) {
     res.status(500).json({
@@ -288,11 +415,11 @@ router.get('/dresses', async (req, res) => {
 
 // 7) GET /api/dresses/featured (public)
 //    Get only featured dresses (limit optional)
-router.get('/dresses/featured', async (req, res) => {
+router.get('/dresses/featured', resolveCurrency, async (req, res) => {
   try {
     const { limit = 8 } = req.query;
-    const dresses = await Dress.find({ isActive: true, isFeatured: true })
-      .populate('category', 'name slug')
+    const dresses = await Dress.find({ ...Dress.liveFilter(), isFeatured: true })
+      .populate('category', 'name slug translations')
       .sort({ sortOrder: 1, createdAt: -1 })
       .limit(parseInt(limit))
       .select('-__v');
@@ -300,7 +427,9 @@ router.get('/dresses/featured', async (req, res) => {
     res.json({
       success: true,
       count: dresses.length,
-      data: dresses
+      currency: req.currency.code,
+      locale: req.locale,
+      data: dresses.map((d) => translateDress(localizeDress(d, req.currency), req.locale))
     });
   } catch (error) {
     res.status(500).json({
@@ -312,17 +441,15 @@ router.get('/dresses/featured', async (req, res) => {
 });
 
 // 8) GET /api/dresses/category/:categoryId (public)
-//    Get dresses for a category (ID or slug), with pagination & sorting
-router.get('/dresses/category/:categoryId', async (req, res) => {
+//    Get dresses for a category (ID or slug) and its subcategories, with
+//    pagination & sorting; includeChildren=false limits to the category itself
+router.get('/dresses/category/:categoryId', resolveCurrency, async (req, res) => {
   try {
     const { categoryId } = req.params;
-    const { sort = '-createdAt', page = 1, limit = 12 } = req.query;
+    const { sort = '-createdAt', page = 1, limit = 12, includeChildren = 'true' } = req.query;
 
     // Verify category exists by ID or slug
-    const category = await Category.findOne({
-      $or: [{ _id: categoryId }, { slug: categoryId }],
-      isActive: true
-    });
+    const category = await Category.findByIdentifier(categoryId, { isActive: true });
     if (!category) {
       return res.status(404).json({
         success: false,
@@ -334,36 +461,35 @@ router.get('/dresses/category/:categoryId', async (req, res) => {
     const limitNum = Math.max(1, Math.min(50, parseInt(limit)));
     const skip = (pageNum - 1) * limitNum;
 
-    const sortOptions = {
-      '-createdAt': { createdAt: -1 },
-      createdAt: { createdAt: 1 },
-      price: { 'price.original': 1 },
-      '-price': { 'price.original': -1 },
-      name: { name: 1 },
-      featured: { isFeatured: -1, createdAt: -1 }
+    const filter = {
+      category: includeChildren === 'false'
+        ? category._id
+        : { $in: await Category.subtreeIds(category._id, { isActive: true }) },
+      ...Dress.liveFilter()
     };
 
-    const dresses = await Dress.find({ category: category._id, isActive: true })
-      .populate('category', 'name slug')
-      .sort(sortOptions[sort] || { createdAt: -1 })
-      .limit(limitNum)
-      .skip(skip)
-      .select('-__v');
-
-    const total = await Dress.countDocuments({ category: category._id, isActive: true });
+    const { dresses, total } = await findDressesPage({
+      filter,
+      sort: DRESS_SORT_OPTIONS[sort] || { createdAt: -1 },
+      skip,
+      limit: limitNum
+    });
 
     res.json({
       success: true,
       category: {
         id: category._id,
-        name: category.name,
-        slug: category.slug
+        name: translatedField(category, 'name', req.locale),
+        slug: category.slug,
+        path: category.path || category.slug
       },
       count: dresses.length,
       total,
       page: pageNum,
       pages: Math.ceil(total / limitNum),
-      data: dresses
+      currency: req.currency.code,
+      locale: req.locale,
+      data: dresses.map((d) => translateDress(localizeDress(d, req.currency), req.locale))
     });
   } catch (error) {
     res.status(500).json({
@@ -375,12 +501,16 @@ router.get('/dresses/category/:categoryId', async (req, res) => {
 });
 
 // 9) GET /api/dress/:id (public)
-//    Get a single dress by ID, increment view‐count
-router.get('/dress/:id', async (req, res) => {
+//    Get a single dress by ID, increment view‐count.
+//    Includes the size × colour variant matrix; ?size=&color= also returns the
+//    matching `selectedVariant` with its effective price.
+//    ?currency= (e.g. USD) shows every price in that currency.
+router.get('/dress/:id', resolveCurrency, async (req, res) => {
   try {
     const { id } = req.params;
-    const dress = await Dress.findOne({ _id: id, isActive: true })
-      .populate('category', 'name slug description')
+    const { size, color } = req.query;
+    const dress = await Dress.findOne({ _id: id, ...Dress.liveFilter() })
+      .populate('category', 'name slug path description ancestors translations')
       .select('-__v');
 
     if (!dress) {
@@ -393,7 +523,35 @@ router.get('/dress/:id', async (req, res) => {
     // Increment view count (fire-and-forget)
     await Dress.findByIdAndUpdate(id, { $inc: { views: 1 } });
 
-    res.json({ success: true, data: dress });
+    const response = {
+      success: true,
+      currency: req.currency.code,
+      locale: req.locale,
+      data: translateDress(localizeDress(dress, req.currency), req.locale)
+    };
+    response.breadcrumbs = dress.category ? await dress.category.breadcrumbs(req.locale) : [];
+    if (dress.variants.length > 0) {
+      const { sizes, colors, matrix } = dress.variantMatrix();
+      Object.values(matrix).forEach((row) => {
+        Object.values(row).forEach((cell) => {
+          if (cell) cell.price = convertAmount(cell.price, req.currency);
+        });
+      });
+      response.variantMatrix = { sizes, colors, matrix };
+    }
+    if (size) {
+      const variant = dress.findVariant(size, color);
+      response.selectedVariant = variant
+        ? {
+            ...variant.toObject(),
+            price: convertAmount(variant.price, req.currency),
+            inStock: isSellable(variant),
+            effectivePrice: convertAmount(dress.variantPrice(variant), req.currency)
+          }
+        : null;
+    }
+
+    res.json(response);
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -403,12 +561,124 @@ router.get('/dress/:id', async (req, res) => {
   }
 });
 
-// 10) POST /api/dress (admin only)
-//     Create a new dress; expects JSON including “images” array of { url, public_id, alt }
+// 9a) GET /api/dress/:id/preview (dress:update)
+//     Admin preview: the dress as customers will see it, whatever its status or
+//     schedule (drafts, scheduled and archived dresses included). Same
+//     ?currency= / ?lang= handling as GET /api/dress/:id.
+router.get(
+  '/dress/:id/preview',
+  protect,
+  requirePermission('dress:update'),
+  resolveCurrency,
+  async (req, res) => {
+    try {
+      const dress = await Dress.findById(req.params.id)
+        .populate('category', 'name slug path description ancestors translations')
+        .select('-__v');
+      if (!dress) {
+        return res.status(404).json({
+          success: false,
+          message: 'Dress not found'
+        });
+      }
+
+      const response = {
+        success: true,
+        preview: true,
+        effectiveStatus: dress.effectiveStatus,
+        currency: req.currency.code,
+        locale: req.locale,
+        data: translateDress(localizeDress(dress, req.currency), req.locale),
+        breadcrumbs: dress.category ? await dress.category.breadcrumbs(req.locale) : []
+      };
+      if (dress.variants.length > 0) {
+        const { sizes, colors, matrix } = dress.variantMatrix();
+        Object.values(matrix).forEach((row) => {
+          Object.values(row).forEach((cell) => {
+            if (cell) cell.price = convertAmount(cell.price, req.currency);
+          });
+        });
+        response.variantMatrix = { sizes, colors, matrix };
+      }
+
+      res.json(response);
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error previewing dress',
+        error: error.message
+      });
+    }
+  }
+);
+
+// 9b) GET /api/dress (dress:update)
+//     Admin list of every dress (not just live ones), newest first.
+//     ?status=draft|scheduled|published|archived filters on the status the
+//     public sees right now; ?q= matches name or SKU.
+router.get(
+  '/dress',
+  protect,
+  requirePermission('dress:update'),
+  async (req, res) => {
+    try {
+      const { status, q, page = 1, limit = 20 } = req.query;
+
+      const filter = {};
+      if (status) {
+        if (!PUBLICATION_STATUSES.includes(status)) {
+          return res.status(400).json({
+            success: false,
+            message: `status must be one of: ${PUBLICATION_STATUSES.join(', ')}`
+          });
+        }
+        Object.assign(filter, Dress.statusFilter(status));
+      }
+      if (q) {
+        filter.$and = [
+          ...(filter.$and || []),
+          { $or: [{ name: new RegExp(q, 'i') }, { sku: new RegExp(q, 'i') }] }
+        ];
+      }
+
+      const pageNum = Math.max(1, parseInt(page));
+      const limitNum = Math.max(1, Math.min(100, parseInt(limit)));
+      const skip = (pageNum - 1) * limitNum;
+
+      const dresses = await Dress.find(filter)
+        .populate('category', 'name slug')
+        .sort({ createdAt: -1 })
+        .limit(limitNum)
+        .skip(skip)
+        .select('-__v');
+      const total = await Dress.countDocuments(filter);
+
+      res.json({
+        success: true,
+        count: dresses.length,
+        total,
+        page: pageNum,
+        pages: Math.ceil(total / limitNum),
+        data: dresses
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching dresses',
+        error: error.message
+      });
+    }
+  }
+);
+
+// 10) POST /api/dress (dress:create)
+//     Create a new dress; expects JSON including “images” array of { url, public_id, alt }.
+//     status: draft | scheduled | published (default) | archived, with optional
+//     publishAt / unpublishAt (a scheduled dress needs publishAt).
 router.post(
   '/dress',
   protect,
-  adminOnly,
+  requirePermission('dress:create'),
   async (req, res) => {
     try {
       const {
@@ -422,9 +692,15 @@ router.post(
         careInstructions,
         tags,
         whatsappNumber,
+        whatsappMessage,
         isFeatured,
         sortOrder,
-        images
+        lowStockThreshold,
+        status,
+        publishAt,
+        unpublishAt,
+        images,
+        variants
       } = req.body;
 
       // Must supply at least one image
@@ -436,12 +712,13 @@ router.post(
       }
 
       // Parse JSON fields if they came in as strings
-      let parsedSizes, parsedColors, parsedTags, parsedPrice;
+      let parsedSizes, parsedColors, parsedTags, parsedPrice, parsedVariants;
       try {
         parsedPrice = typeof price === 'string' ? JSON.parse(price) : price;
         parsedSizes = typeof sizes === 'string' ? JSON.parse(sizes) : sizes;
         parsedColors = typeof colors === 'string' ? JSON.parse(colors) : colors;
         parsedTags = typeof tags === 'string' ? JSON.parse(tags) : tags;
+        parsedVariants = typeof variants === 'string' ? JSON.parse(variants) : variants;
       } catch (parseError) {
         return res.status(400).json({
           success: false,
@@ -457,15 +734,27 @@ router.post(
         images, // each item: { url, public_id, alt }
         sizes: parsedSizes || [],
         colors: parsedColors || [],
+        variants: parsedVariants || [], // each item: { size, color, colorCode, stock, available, price, sku }
         material,
         careInstructions,
         tags: parsedTags || [],
         whatsappNumber,
+        whatsappMessage,
         isFeatured: isFeatured === true || isFeatured === 'true',
-        sortOrder: sortOrder || 0
+        sortOrder: sortOrder || 0,
+        lowStockThreshold,
+        status,
+        publishAt: publishAt || null,
+        unpublishAt: unpublishAt || null
       });
 
       const savedDress = await dress.save();
+      await recordOpeningStock(
+        savedDress,
+        savedDress.variants.length > 0 ? savedDress.variants : savedDress.sizes,
+        req.user
+      );
+      await recordRevision(savedDress, 'create', req.user);
       await savedDress.populate('category', 'name slug');
 
       res.status(201).json({
@@ -479,6 +768,12 @@ router.post(
         const publicIds = req.body.images.map((img) => img.public_id);
         await deleteMultipleFromCloudinary(publicIds);
       }
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
       res.status(500).json({
         success: false,
         message: 'Error creating dress',
@@ -488,12 +783,15 @@ router.post(
   }
 );
 
-// 11) PUT /api/dress/:id (admin only)
-//     Update a dress’s fields, optionally remove/add images
+// 11) PUT /api/dress/:id (dress:update)
+//     Update a dress’s fields, optionally remove/add images.
+//     Stock of existing sizes / variants is preserved; use the stock adjust endpoint.
+//     status / publishAt / unpublishAt move the dress through the publication
+//     workflow (null clears a date); isActive alone still works for older clients.
 router.put(
   '/dress/:id',
   protect,
-  adminOnly,
+  requirePermission('dress:update'),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -508,9 +806,15 @@ router.put(
         careInstructions,
         tags,
         whatsappNumber,
+        whatsappMessage, // template override; empty string reverts to category / store template
         isFeatured,
         isActive,
         sortOrder,
+        lowStockThreshold,
+        status,
+        publishAt,
+        unpublishAt,
+        variants,     // full size × colour matrix (replaces the existing one)
         removeImages, // array of public_ids to remove
         newImages     // array of { url, public_id, alt } to add
       } = req.body;
@@ -522,14 +826,16 @@ router.put(
           message: 'Dress not found'
         });
       }
+      const before = snapshotOf(dress);
 
       // Parse JSON fields if they came as strings
-      let parsedSizes, parsedColors, parsedTags, parsedPrice, parsedRemoveImages;
+      let parsedSizes, parsedColors, parsedTags, parsedPrice, parsedVariants, parsedRemoveImages;
       try {
         if (price) parsedPrice = typeof price === 'string' ? JSON.parse(price) : price;
         if (sizes) parsedSizes = typeof sizes === 'string' ? JSON.parse(sizes) : sizes;
         if (colors) parsedColors = typeof colors === 'string' ? JSON.parse(colors) : colors;
         if (tags) parsedTags = typeof tags === 'string' ? JSON.parse(tags) : tags;
+        if (variants) parsedVariants = typeof variants === 'string' ? JSON.parse(variants) : variants;
         if (removeImages)
           parsedRemoveImages = Array.isArray(removeImages)
             ? removeImages
@@ -541,20 +847,40 @@ router.put(
         });
       }
 
-      // Update provided fields
+      // Update provided fields. Stock of sizes / variants left out of a new
+      // list is closed in the ledger after saving.
+      let addedStock = [];
+      let removedStock = null; // { field, entries }
       if (name) dress.name = name;
       if (description !== undefined) dress.description = description;
       if (category) dress.category = category;
       if (parsedPrice) dress.price = parsedPrice;
-      if (parsedSizes) dress.sizes = parsedSizes;
+      if (parsedSizes && dress.variants.length === 0 && !parsedVariants) {
+        removedStock = { field: 'sizes', entries: removedEntries(dress.sizes, parsedSizes, sizeKey) };
+        addedStock = preserveStock(dress.sizes, parsedSizes, sizeKey);
+        dress.sizes = parsedSizes;
+      }
       if (parsedColors) dress.colors = parsedColors;
+      if (parsedVariants) {
+        // A legacy dress moving to variants closes its size stock
+        removedStock = dress.variants.length > 0
+          ? { field: 'variants', entries: removedEntries(dress.variants, parsedVariants, variantKey) }
+          : { field: 'sizes', entries: removedEntries(dress.sizes, [], sizeKey) };
+        addedStock = preserveStock(dress.variants, parsedVariants, variantKey);
+        dress.variants = parsedVariants;
+      }
       if (material) dress.material = material;
       if (careInstructions !== undefined) dress.careInstructions = careInstructions;
       if (parsedTags) dress.tags = parsedTags;
       if (whatsappNumber) dress.whatsappNumber = whatsappNumber;
+      if (whatsappMessage !== undefined) dress.whatsappMessage = whatsappMessage || null;
       if (isFeatured !== undefined) dress.isFeatured = isFeatured === true || isFeatured === 'true';
       if (isActive !== undefined) dress.isActive = isActive === true || isActive === 'true';
       if (sortOrder !== undefined) dress.sortOrder = sortOrder;
+      if (lowStockThreshold !== undefined) dress.lowStockThreshold = lowStockThreshold;
+      if (status !== undefined) dress.status = status;
+      if (publishAt !== undefined) dress.publishAt = publishAt || null;
+      if (unpublishAt !== undefined) dress.unpublishAt = unpublishAt || null;
 
       // 1) Remove images if requested
       if (parsedRemoveImages && parsedRemoveImages.length > 0) {
@@ -581,6 +907,20 @@ router.put(
       }
 
       const updatedDress = await dress.save();
+      if (removedStock) {
+        await recordClosingStock(updatedDress, removedStock.field, removedStock.entries, req.user);
+      }
+      if (addedStock.length > 0) {
+        const field = updatedDress.variants.length > 0 ? 'variants' : 'sizes';
+        const keyOf = field === 'variants' ? variantKey : sizeKey;
+        const addedKeys = new Set(addedStock.map(keyOf));
+        await recordOpeningStock(
+          updatedDress,
+          updatedDress[field].filter((e) => addedKeys.has(keyOf(e))),
+          req.user
+        );
+      }
+      await recordRevision(updatedDress, 'update', req.user, before);
       await updatedDress.populate('category', 'name slug');
 
       res.json({
@@ -595,6 +935,12 @@ router.put(
         await deleteMultipleFromCloudinary(publicIds);
       }
 
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
       res.status(500).json({
         success: false,
         message: 'Error updating dress',
@@ -604,12 +950,14 @@ router.put(
   }
 );
 
-// 12) DELETE /api/dress/:id (admin only)
-//     Delete a dress and all its images
+// 12) DELETE /api/dress/:id (dress:delete)
+//     Move a dress to the trash. It disappears from the catalog, collections
+//     and wishlists but keeps its images until the purge job runs (see
+//     utils/trash.js); POST /api/trash/dresses/:id/restore undoes it.
 router.delete(
   '/dress/:id',
   protect,
-  adminOnly,
+  requirePermission('dress:delete'),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -621,18 +969,14 @@ router.delete(
         });
       }
 
-      // Delete all Cloudinary images
-      const publicIds = dress.images.map((img) => img.public_id);
-      if (publicIds.length > 0) {
-        await deleteMultipleFromCloudinary(publicIds);
-      }
-
-      // Delete dress document
-      await Dress.findByIdAndDelete(id);
+      const before = snapshotOf(dress);
+      await dress.moveToTrash(req.user.id);
+      await recordRevision(dress, 'delete', req.user, before);
 
       res.json({
         success: true,
-        message: 'Dress deleted successfully'
+        message: 'Dress moved to trash',
+        purgeAfter: purgeAfter(dress.deletedAt)
       });
     } catch (error) {
       res.status(500).json({
@@ -645,8 +989,9 @@ router.delete(
 );
 
 // 13) GET /api/dresses/search (public)
-//     Search dresses by keywords (name, description, material, tags)
-router.get('/dresses/search', async (req, res) => {
+//     Search dresses by keywords (name, description, material, tags); names
+//     and descriptions match in every language. ?currency= as for GET /api/dresses
+router.get('/dresses/search', resolveCurrency, async (req, res) => {
   try {
     const {
       q,
@@ -667,21 +1012,29 @@ router.get('/dresses/search', async (req, res) => {
 
     // Build search filter
     const filter = {
-      isActive: true,
+      ...Dress.liveFilter(),
       $or: [
         { name: new RegExp(q, 'i') },
         { description: new RegExp(q, 'i') },
+        ...TRANSLATION_LOCALES.flatMap((locale) => [
+          { [`translations.${locale}.name`]: new RegExp(q, 'i') },
+          { [`translations.${locale}.description`]: new RegExp(q, 'i') }
+        ]),
         { material: new RegExp(q, 'i') },
         { tags: new RegExp(q, 'i') }
       ]
     };
 
-    if (category) filter.category = category;
-
-    if (minPrice || maxPrice) {
-      filter['price.original'] = {};
-      if (minPrice) filter['price.original'].$gte = Number(minPrice);
-      if (maxPrice) filter['price.original'].$lte = Number(maxPrice);
+    // Category by ID or slug path, including its subcategories
+    if (category) {
+      const match = await Category.findByIdentifier(category, { isActive: true });
+      if (!match) {
+        return res.status(404).json({
+          success: false,
+          message: 'Category not found'
+        });
+      }
+      filter.category = { $in: await Category.subtreeIds(match._id, { isActive: true }) };
     }
 
     const pageNum = Math.max(1, parseInt(page));
@@ -689,22 +1042,19 @@ router.get('/dresses/search', async (req, res) => {
     const skip = (pageNum - 1) * limitNum;
 
     const sortOptions = {
-      '-createdAt': { createdAt: -1 },
-      createdAt: { createdAt: 1 },
-      price: { 'price.original': 1 },
-      '-price': { 'price.original': -1 },
-      name: { name: 1 },
+      ...DRESS_SORT_OPTIONS,
       relevance: { score: { $meta: 'textScore' } }
     };
 
-    const dresses = await Dress.find(filter)
-      .populate('category', 'name slug')
-      .sort(sortOptions[sort] || { createdAt: -1 })
-      .limit(limitNum)
-      .skip(skip)
-      .select('-__v');
-
-    const total = await Dress.countDocuments(filter);
+    // Price range and price sorting use the effective (promotional) price
+    const { dresses, total } = await findDressesPage({
+      filter,
+      minPrice: toBaseBound(minPrice, req.currency, 'min'),
+      maxPrice: toBaseBound(maxPrice, req.currency, 'max'),
+      sort: sortOptions[sort] || { createdAt: -1 },
+      skip,
+      limit: limitNum
+    });
 
     res.json({
       success: true,
@@ -713,7 +1063,9 @@ router.get('/dresses/search', async (req, res) => {
       total,
       page: pageNum,
       pages: Math.ceil(total / limitNum),
-      data: dresses
+      currency: req.currency.code,
+      locale: req.locale,
+      data: dresses.map((d) => translateDress(localizeDress(d, req.currency), req.locale))
     });
   } catch (error) {
     res.status(500).json({
@@ -0,0 +1,294 @@
+// routes/translations.js
+
+const express = require('express');
+const router = express.Router();
+const { Category, Dress } = require('../models/model');
+const { protect, requirePermission } = require('../middleware/auth');
+const { missingTranslations } = require('../utils/locale');
+const { snapshotOf, recordRevision } = require('../utils/audit');
+const {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  TRANSLATION_LOCALES,
+  TRANSLATABLE_FIELDS
+} = require('../config/locales');
+
+// Check :locale and apply the translatable fields present in `body` to
+// doc.translations[locale]; an empty string / null removes a translation.
+// Returns an error message, or null when the update was applied.
+const applyTranslation = (doc, kind, locale, body) => {
+  if (locale === DEFAULT_LOCALE) {
+    return `${DEFAULT_LOCALE} is the default locale; edit the ${kind} itself instead`;
+  }
+  if (!TRANSLATION_LOCALES.includes(locale)) {
+    return `Unsupported locale: ${locale}. Available: ${TRANSLATION_LOCALES.join(', ')}`;
+  }
+
+  const fields = TRANSLATABLE_FIELDS[kind].filter((field) => body[field] !== undefined);
+  if (fields.length === 0) {
+    return `Please provide at least one of: ${TRANSLATABLE_FIELDS[kind].join(', ')}`;
+  }
+  fields.forEach((field) => {
+    doc.set(`translations.${locale}.${field}`, body[field] || undefined);
+  });
+  return null;
+};
+
+// Translations of a document next to its default-locale text
+const translationsOf = (doc, kind) => ({
+  _id: doc._id,
+  [DEFAULT_LOCALE]: Object.fromEntries(TRANSLATABLE_FIELDS[kind].map((f) => [f, doc[f]])),
+  ...Object.fromEntries(TRANSLATION_LOCALES.map((locale) => [
+    locale,
+    Object.fromEntries(TRANSLATABLE_FIELDS[kind].map((f) => [
+      f,
+      (doc.translations && doc.translations[locale] && doc.translations[locale][f]) || null
+    ]))
+  ])),
+  missing: missingTranslations(doc, kind)
+});
+
+// =====================
+// PUBLIC
+// =====================
+
+// 1) GET /api/locales (public)
+//    Supported catalog languages; pass one as ?lang= or Accept-Language
+router.get('/locales', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      default: DEFAULT_LOCALE,
+      supported: SUPPORTED_LOCALES,
+      translatableFields: TRANSLATABLE_FIELDS
+    }
+  });
+});
+
+// =====================
+// ADMIN
+// =====================
+
+// 2) GET /api/dress/:id/translations (dress:update)
+//    Default text and every translation of a dress, with what is missing
+router.get(
+  '/dress/:id/translations',
+  protect,
+  requirePermission('dress:update'),
+  async (req, res) => {
+    try {
+      const dress = await Dress.findById(req.params.id)
+        .select(`${TRANSLATABLE_FIELDS.dress.join(' ')} translations`);
+      if (!dress) {
+        return res.status(404).json({
+          success: false,
+          message: 'Dress not found'
+        });
+      }
+
+      res.json({ success: true, data: translationsOf(dress, 'dress') });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching translations',
+        error: error.message
+      });
+    }
+  }
+);
+
+// 3) PUT /api/dress/:id/translations/:locale (dress:update)
+//    Edit one translation; expects JSON with any of { name, description,
+//    careInstructions }. Fields left out are kept; "" removes a field.
+router.put(
+  '/dress/:id/translations/:locale',
+  protect,
+  requirePermission('dress:update'),
+  async (req, res) => {
+    try {
+      const locale = req.params.locale.toLowerCase();
+      const dress = await Dress.findById(req.params.id);
+      if (!dress) {
+        return res.status(404).json({
+          success: false,
+          message: 'Dress not found'
+        });
+      }
+
+      const before = snapshotOf(dress);
+      const problem = applyTranslation(dress, 'dress', locale, req.body || {});
+      if (problem) {
+        return res.status(400).json({
+          success: false,
+          message: problem
+        });
+      }
+      await dress.save();
+      await recordRevision(dress, 'update', req.user, before);
+
+      res.json({
+        success: true,
+        message: 'Translation updated successfully',
+        data: translationsOf(dress, 'dress')
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      res.status(500).json({
+        success: false,
+        message: 'Error updating translation',
+        error: error.message
+      });
+    }
+  }
+);
+
+// 4) GET /api/category/:id/translations (category:update)
+router.get(
+  '/category/:id/translations',
+  protect,
+  requirePermission('category:update'),
+  async (req, res) => {
+    try {
+      const category = await Category.findById(req.params.id)
+        .select(`${TRANSLATABLE_FIELDS.category.join(' ')} translations`);
+      if (!category) {
+        return res.status(404).json({
+          success: false,
+          message: 'Category not found'
+        });
+      }
+
+      res.json({ success: true, data: translationsOf(category, 'category') });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching translations',
+        error: error.message
+      });
+    }
+  }
+);
+
+// 5) PUT /api/category/:id/translations/:locale (category:update)
+//    Edit one translation; expects JSON { name } ("" removes it)
+router.put(
+  '/category/:id/translations/:locale',
+  protect,
+  requirePermission('category:update'),
+  async (req, res) => {
+    try {
+      const locale = req.params.locale.toLowerCase();
+      const category = await Category.findById(req.params.id);
+      if (!category) {
+        return res.status(404).json({
+          success: false,
+          message: 'Category not found'
+        });
+      }
+
+      const before = snapshotOf(category);
+      const problem = applyTranslation(category, 'category', locale, req.body || {});
+      if (problem) {
+        return res.status(400).json({
+          success: false,
+          message: problem
+        });
+      }
+      await category.save();
+      await recordRevision(category, 'update', req.user, before);
+
+      res.json({
+        success: true,
+        message: 'Translation updated successfully',
+        data: translationsOf(category, 'category')
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      res.status(500).json({
+        success: false,
+        message: 'Error updating translation',
+        error: error.message
+      });
+    }
+  }
+);
+
+// =====================
+// REPORTS
+// =====================
+
+// 6) GET /api/reports/missing-translations (analytics:read)
+//    Dresses and categories lacking a translation, with per-locale totals.
+//    ?locale= limits to one language, ?type=dress|category to one kind,
+//    ?includeInactive=true also lists hidden items.
+router.get(
+  '/reports/missing-translations',
+  protect,
+  requirePermission('analytics:read'),
+  async (req, res) => {
+    try {
+      const { locale, type, includeInactive } = req.query;
+      if (locale && !TRANSLATION_LOCALES.includes(locale)) {
+        return res.status(400).json({
+          success: false,
+          message: `Unsupported locale: ${locale}. Available: ${TRANSLATION_LOCALES.join(', ')}`
+        });
+      }
+      if (type && !TRANSLATABLE_FIELDS[type]) {
+        return res.status(400).json({
+          success: false,
+          message: 'type must be dress or category'
+        });
+      }
+
+      const filter = includeInactive === 'true' ? {} : { isActive: true };
+      const locales = locale ? [locale] : TRANSLATION_LOCALES;
+      const summary = Object.fromEntries(locales.map((l) => [l, { dresses: 0, categories: 0 }]));
+      const data = [];
+
+      const collect = (docs, kind, extra) => {
+        docs.forEach((doc) => {
+          const missing = missingTranslations(doc, kind).filter((m) => locales.includes(m.locale));
+          if (missing.length === 0) return;
+          missing.forEach((m) => {
+            summary[m.locale][kind === 'dress' ? 'dresses' : 'categories'] += 1;
+          });
+          data.push({ type: kind, _id: doc._id, name: doc.name, ...extra(doc), missing });
+        });
+      };
+
+      if (!type || type === 'category') {
+        const categories = await Category.find(filter)
+          .sort({ path: 1 })
+          .select(`${TRANSLATABLE_FIELDS.category.join(' ')} path slug translations`);
+        collect(categories, 'category', (c) => ({ path: c.path || c.slug }));
+      }
+      if (!type || type === 'dress') {
+        const dresses = await Dress.find(filter)
+          .sort({ name: 1 })
+          .select(`${TRANSLATABLE_FIELDS.dress.join(' ')} sku translations`);
+        collect(dresses, 'dress', (d) => ({ sku: d.sku }));
+      }
+
+      res.json({ success: true, summary, count: data.length, data });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error building missing translations report',
+        error: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
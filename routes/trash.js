@@ -0,0 +1,203 @@
+// routes/trash.js
+
+const express = require('express');
+const router = express.Router();
+const { Category, Dress } = require('../models/model');
+const { protect, requirePermission } = require('../middleware/auth');
+const { TRASH_RETENTION_DAYS, purgeAfter, purgeExpiredTrash } = require('../utils/trash');
+const { snapshotOf, recordRevision } = require('../utils/audit');
+
+const inTrash = { deletedAt: { $ne: null } };
+
+// One page of trashed documents, most recently deleted first
+const listTrash = async (Model, select, query) => {
+  const { page = 1, limit = 20 } = query;
+  const pageNum = Math.max(1, parseInt(page));
+  const limitNum = Math.max(1, Math.min(100, parseInt(limit)));
+
+  const [items, total] = await Promise.all([
+    Model.find(inTrash)
+      .populate('deletedBy', 'username')
+      .sort({ deletedAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .select(select),
+    Model.countDocuments(inTrash)
+  ]);
+
+  return {
+    success: true,
+    retentionDays: TRASH_RETENTION_DAYS,
+    count: items.length,
+    total,
+    page: pageNum,
+    pages: Math.ceil(total / limitNum),
+    data: items.map((item) => ({ ...item.toObject(), purgeAfter: purgeAfter(item.deletedAt) }))
+  };
+};
+
+// =====================
+// ADMIN
+// =====================
+
+// 1) GET /api/trash/dresses (dress:delete)
+//    Trashed dresses with who deleted them and when they will be purged
+router.get('/trash/dresses', protect, requirePermission('dress:delete'), async (req, res) => {
+  try {
+    res.json(await listTrash(
+      Dress,
+      'name sku images category deletedAt deletedBy',
+      req.query
+    ));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching trashed dresses',
+      error: error.message
+    });
+  }
+});
+
+// 2) GET /api/trash/categories (category:delete)
+router.get('/trash/categories', protect, requirePermission('category:delete'), async (req, res) => {
+  try {
+    res.json(await listTrash(
+      Category,
+      'name slug path image parent deletedAt deletedBy',
+      req.query
+    ));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching trashed categories',
+      error: error.message
+    });
+  }
+});
+
+// 3) POST /api/trash/dresses/:id/restore (dress:delete)
+//    Put a dress back in the catalog; its category must not be in the trash
+router.post(
+  '/trash/dresses/:id/restore',
+  protect,
+  requirePermission('dress:delete'),
+  async (req, res) => {
+    try {
+      const dress = await Dress.findOne({ _id: req.params.id, ...inTrash });
+      if (!dress) {
+        return res.status(404).json({
+          success: false,
+          message: 'Dress not found in trash'
+        });
+      }
+
+      if (!(await Category.exists({ _id: dress.category }))) {
+        return res.status(409).json({
+          success: false,
+          message: 'The category of this dress is in the trash; restore the category first'
+        });
+      }
+
+      const before = snapshotOf(dress);
+      await dress.restoreFromTrash();
+      await recordRevision(dress, 'restore', req.user, before);
+
+      res.json({
+        success: true,
+        message: 'Dress restored successfully',
+        data: dress
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      res.status(500).json({
+        success: false,
+        message: 'Error restoring dress',
+        error: error.message
+      });
+    }
+  }
+);
+
+// 4) POST /api/trash/categories/:id/restore (category:delete)
+//    Put a category back; its parent must not be in the trash. Dresses that
+//    were trashed on their own stay in the trash.
+router.post(
+  '/trash/categories/:id/restore',
+  protect,
+  requirePermission('category:delete'),
+  async (req, res) => {
+    try {
+      const category = await Category.findOne({ _id: req.params.id, ...inTrash });
+      if (!category) {
+        return res.status(404).json({
+          success: false,
+          message: 'Category not found in trash'
+        });
+      }
+
+      if (category.parent && !(await Category.exists({ _id: category.parent }))) {
+        return res.status(409).json({
+          success: false,
+          message: 'The parent of this category is in the trash; restore the parent first'
+        });
+      }
+
+      const before = snapshotOf(category);
+      await category.restoreFromTrash();
+      await recordRevision(category, 'restore', req.user, before);
+
+      res.json({
+        success: true,
+        message: 'Category restored successfully',
+        data: category
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      res.status(500).json({
+        success: false,
+        message: 'Error restoring category',
+        error: error.message
+      });
+    }
+  }
+);
+
+// 5) POST /api/trash/purge (dress:delete + category:delete)
+//    Run the purge job now: permanently delete items trashed more than
+//    TRASH_RETENTION_DAYS ago and destroy their images. ?dryRun=true only counts.
+router.post(
+  '/trash/purge',
+  protect,
+  requirePermission('dress:delete', 'category:delete'),
+  async (req, res) => {
+    try {
+      const dryRun = req.query.dryRun === 'true';
+      const result = await purgeExpiredTrash({ dryRun });
+
+      res.json({
+        success: true,
+        message: dryRun ? 'Dry run: nothing was deleted' : 'Trash purged',
+        retentionDays: TRASH_RETENTION_DAYS,
+        data: result
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error purging trash',
+        error: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
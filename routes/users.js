@@ -0,0 +1,289 @@
+// routes/users.js
+
+const express = require('express');
+const router = express.Router();
+const User = require('../models/userModel');
+const RefreshToken = require('../models/refreshTokenModel');
+const { protect, requirePermission } = require('../middleware/auth');
+const { ROLES } = require('../config/permissions');
+const { revokeAllSessions } = require('../utils/tokens');
+const { unlockAccount } = require('../utils/loginGuard');
+
+// Every user-management route needs user:manage (admins only by default)
+router.use(protect, requirePermission('user:manage'));
+
+// Fields that are safe to return to an admin
+const PUBLIC_FIELDS = '-password -tokenVersion -__v';
+
+// Refuse changes that would leave the store without an active admin
+const isLastActiveAdmin = async (user) => {
+  if (user.role !== 'admin' || !user.isActive) return false;
+  const activeAdmins = await User.countDocuments({ role: 'admin', isActive: true });
+  return activeAdmins <= 1;
+};
+
+// ──────────────────────────────────────────────────────────────────────────────
+// 1) GET /api/users
+//    List / search users with optional filters and pagination
+router.get('/', async (req, res) => {
+  try {
+    const { q, role, isActive, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (q) {
+      filter.$or = [
+        { username: new RegExp(q, 'i') },
+        { email: new RegExp(q, 'i') }
+      ];
+    }
+    if (role) filter.role = role;
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+
+    const pageNum = Math.max(1, parseInt(page));
+    const limitNum = Math.max(1, Math.min(100, parseInt(limit)));
+    const skip = (pageNum - 1) * limitNum;
+
+    const users = await User.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limitNum)
+      .skip(skip)
+      .select(PUBLIC_FIELDS);
+
+    const total = await User.countDocuments(filter);
+
+    res.json({
+      success: true,
+      count: users.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      data: users
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching users',
+      error: error.message
+    });
+  }
+});
+
+// 2) GET /api/users/:id
+router.get('/:id', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select(PUBLIC_FIELDS);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({ success: true, data: user });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching user',
+      error: error.message
+    });
+  }
+});
+
+// 3) PUT /api/users/:id/role
+//    Promote or demote a user; expects JSON { role } (user | staff | editor | admin)
+router.put('/:id/role', async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.role === role) {
+      return res.json({
+        success: true,
+        message: `User already has role '${role}'`,
+        data: { id: user._id, username: user.username, role: user.role }
+      });
+    }
+
+    if (await isLastActiveAdmin(user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot demote the last active admin'
+      });
+    }
+
+    user.role = role;
+    // Existing tokens carry the old role; force a fresh login
+    user.tokenVersion += 1;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: `User role changed to '${role}'`,
+      data: { id: user._id, username: user.username, role: user.role }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating user role',
+      error: error.message
+    });
+  }
+});
+
+// 4) PUT /api/users/:id/disable
+//    Disable an account and revoke all its sessions
+router.put('/:id/disable', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user._id.equals(req.user.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot disable your own account'
+      });
+    }
+
+    if (await isLastActiveAdmin(user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot disable the last active admin'
+      });
+    }
+
+    user.isActive = false;
+    await user.save();
+    await revokeAllSessions(user._id, 'admin-revoked');
+
+    res.json({
+      success: true,
+      message: 'User disabled successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error disabling user',
+      error: error.message
+    });
+  }
+});
+
+// 5) PUT /api/users/:id/enable
+router.put('/:id/enable', async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { isActive: true },
+      { new: true }
+    ).select(PUBLIC_FIELDS);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'User enabled successfully',
+      data: user
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error enabling user',
+      error: error.message
+    });
+  }
+});
+
+// 6) PUT /api/users/:id/unlock
+//    Clear failed-login counters and lift a login lockout
+router.put('/:id/unlock', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await unlockAccount(user, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'User unlocked successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error unlocking user',
+      error: error.message
+    });
+  }
+});
+
+// 7) DELETE /api/users/:id
+//    Permanently delete a user and their refresh tokens
+router.delete('/:id', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user._id.equals(req.user.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot delete your own account'
+      });
+    }
+
+    if (await isLastActiveAdmin(user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete the last active admin'
+      });
+    }
+
+    await RefreshToken.deleteMany({ user: user._id });
+    await User.findByIdAndDelete(user._id);
+
+    res.json({
+      success: true,
+      message: 'User deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting user',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
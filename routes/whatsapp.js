@@ -0,0 +1,169 @@
+// routes/whatsapp.js
+
+const express = require('express');
+const router = express.Router();
+const { Category, Dress } = require('../models/model');
+const { protect, requirePermission } = require('../middleware/auth');
+const { getSetting, setSetting } = require('../utils/settings');
+const {
+  TEMPLATE_VARIABLES,
+  DEFAULT_TEMPLATE,
+  validateTemplate
+} = require('../utils/whatsappTemplate');
+
+// Every WhatsApp template route is for catalog staff
+router.use('/whatsapp', protect);
+
+// 1) GET /api/whatsapp/templates/variables (dress:update)
+//    Placeholders a template may use, with descriptions
+router.get('/whatsapp/templates/variables', requirePermission('dress:update'), (req, res) => {
+  res.json({
+    success: true,
+    data: Object.entries(TEMPLATE_VARIABLES).map(([name, description]) => ({
+      placeholder: `{${name}}`,
+      section: `{#${name}}…{/${name}}`,
+      description
+    }))
+  });
+});
+
+// 2) POST /api/whatsapp/templates/validate (dress:update)
+//    Check a template before saving it; expects JSON { template }.
+//    Responds 400 listing unknown placeholders / unclosed sections.
+router.post('/whatsapp/templates/validate', requirePermission('dress:update'), (req, res) => {
+  const result = validateTemplate(req.body.template);
+  if (!result.valid) {
+    return res.status(400).json({
+      success: false,
+      message: result.errors.join('; '),
+      errors: result.errors,
+      unknown: result.unknown
+    });
+  }
+  res.json({ success: true, message: 'Template is valid' });
+});
+
+// 3) GET /api/whatsapp/templates (dress:update)
+//    Store default plus every category template (null = uses the store default)
+router.get('/whatsapp/templates', requirePermission('dress:update'), async (req, res) => {
+  try {
+    const storeTemplate = await getSetting('whatsappTemplate');
+    const categories = await Category.find()
+      .sort({ sortOrder: 1, name: 1 })
+      .select('name slug whatsappTemplate');
+
+    res.json({
+      success: true,
+      data: {
+        builtIn: DEFAULT_TEMPLATE,
+        store: storeTemplate,
+        categories: categories.map((c) => ({
+          _id: c._id,
+          name: c.name,
+          slug: c.slug,
+          whatsappTemplate: c.whatsappTemplate || null
+        }))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching WhatsApp templates',
+      error: error.message
+    });
+  }
+});
+
+// 4) PUT /api/whatsapp/templates/store (settings:manage)
+//    Set the store-wide default; expects JSON { template }.
+//    Send { template: null } to go back to the built-in default.
+router.put('/whatsapp/templates/store', requirePermission('settings:manage'), async (req, res) => {
+  try {
+    const { template } = req.body;
+
+    if (template !== null && template !== '') {
+      const result = validateTemplate(template);
+      if (!result.valid) {
+        return res.status(400).json({
+          success: false,
+          message: result.errors.join('; '),
+          errors: result.errors,
+          unknown: result.unknown
+        });
+      }
+    }
+
+    const value = await setSetting('whatsappTemplate', template || null, req.user.id);
+    res.json({
+      success: true,
+      message: value ? 'Store WhatsApp template updated' : 'Store WhatsApp template reset to default',
+      data: { store: value, builtIn: DEFAULT_TEMPLATE }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating WhatsApp template',
+      error: error.message
+    });
+  }
+});
+
+// Render the message a dress would send; shared by the preview endpoints
+const sendPreview = async (req, res, template) => {
+  try {
+    if (template) {
+      const result = validateTemplate(template);
+      if (!result.valid) {
+        return res.status(400).json({
+          success: false,
+          message: result.errors.join('; '),
+          errors: result.errors,
+          unknown: result.unknown
+        });
+      }
+    }
+
+    const dress = await Dress.findById(req.params.dressId);
+    if (!dress) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dress not found'
+      });
+    }
+
+    const source = { ...req.body, ...req.query };
+    const selection = {
+      size: source.size ? String(source.size) : undefined,
+      color: source.color ? String(source.color) : undefined
+    };
+    const message = await dress.resolveWhatsappMessage(selection, { template });
+
+    res.json({
+      success: true,
+      data: {
+        message,
+        link: dress.buildWhatsappLink(selection, null, message)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error rendering WhatsApp preview',
+      error: error.message
+    });
+  }
+};
+
+// 5) GET /api/whatsapp/preview/:dressId (dress:update)
+//    Message the dress sends today; ?size=&color= preview a selection
+router.get('/whatsapp/preview/:dressId', requirePermission('dress:update'), (req, res) =>
+  sendPreview(req, res)
+);
+
+// 6) POST /api/whatsapp/preview/:dressId (dress:update)
+//    Preview an unsaved template; expects JSON { template, size, color }
+router.post('/whatsapp/preview/:dressId', requirePermission('dress:update'), (req, res) =>
+  sendPreview(req, res, req.body.template)
+);
+
+module.exports = router;
@@ -0,0 +1,169 @@
+// routes/wishlist.js
+
+const express = require('express');
+const router = express.Router();
+const { Dress } = require('../models/model');
+const WishlistItem = require('../models/wishlistModel');
+const { protect, requirePermission, usersOnly } = require('../middleware/auth');
+const { translateDress } = require('../utils/locale');
+
+// =====================
+// CUSTOMER WISHLIST
+// =====================
+
+// 1) GET /api/wishlist (logged in)
+//    Saved dresses (newest first) with category and effective price, in the
+//    requested language.
+//    Dresses that are no longer live (archived, unpublished) are left out.
+router.get('/wishlist', protect, usersOnly, async (req, res) => {
+  try {
+    const items = await WishlistItem.find({ user: req.user.id })
+      .sort({ createdAt: -1 })
+      .populate({
+        path: 'dress',
+        match: Dress.liveFilter(),
+        select: '-__v',
+        populate: { path: 'category', select: 'name slug translations' }
+      });
+
+    const data = items
+      .filter((item) => item.dress)
+      .map((item) => ({
+        addedAt: item.createdAt,
+        dress: translateDress(item.dress, req.locale)
+      }));
+
+    res.json({ success: true, count: data.length, locale: req.locale, data });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching wishlist',
+      error: error.message
+    });
+  }
+});
+
+// 2) POST /api/wishlist/:dressId (logged in)
+//    Save a dress (idempotent)
+router.post('/wishlist/:dressId', protect, usersOnly, async (req, res) => {
+  try {
+    const { dressId } = req.params;
+
+    const dress = await Dress.findOne({ _id: dressId, ...Dress.liveFilter() }).select('_id');
+    if (!dress) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dress not found'
+      });
+    }
+
+    await WishlistItem.updateOne(
+      { user: req.user.id, dress: dress._id },
+      { $setOnInsert: { user: req.user.id, dress: dress._id } },
+      { upsert: true }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Dress added to wishlist'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error adding to wishlist',
+      error: error.message
+    });
+  }
+});
+
+// 3) DELETE /api/wishlist/:dressId (logged in)
+router.delete('/wishlist/:dressId', protect, usersOnly, async (req, res) => {
+  try {
+    const result = await WishlistItem.deleteOne({
+      user: req.user.id,
+      dress: req.params.dressId
+    });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dress is not in your wishlist'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Dress removed from wishlist'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error removing from wishlist',
+      error: error.message
+    });
+  }
+});
+
+// =====================
+// REPORTS
+// =====================
+
+// 4) GET /api/reports/most-wishlisted (analytics:read)
+//    Dresses saved by the most customers; ?limit= (default 20), ?since= ISO date
+router.get(
+  '/reports/most-wishlisted',
+  protect,
+  requirePermission('analytics:read'),
+  async (req, res) => {
+    try {
+      const { limit = 20, since } = req.query;
+      const limitNum = Math.max(1, Math.min(100, parseInt(limit)));
+
+      const match = {};
+      if (since) match.createdAt = { $gte: new Date(since) };
+
+      const rows = await WishlistItem.aggregate([
+        { $match: match },
+        { $group: { _id: '$dress', count: { $sum: 1 }, lastAddedAt: { $max: '$createdAt' } } },
+        { $sort: { count: -1, lastAddedAt: -1 } },
+        {
+          $lookup: {
+            from: Dress.collection.name,
+            localField: '_id',
+            foreignField: '_id',
+            as: 'dress'
+          }
+        },
+        { $unwind: '$dress' },
+        // Drop trashed / deleted dresses before limiting, so they don't take
+        // up places in the top list
+        { $match: { 'dress.deletedAt': null } },
+        { $limit: limitNum },
+        {
+          $project: {
+            _id: 0,
+            dress: {
+              _id: '$dress._id',
+              name: '$dress.name',
+              sku: '$dress.sku',
+              isActive: '$dress.isActive',
+              price: '$dress.price'
+            },
+            count: 1,
+            lastAddedAt: 1
+          }
+        }
+      ]);
+
+      res.json({ success: true, count: rows.length, data: rows });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Error building wishlist report',
+        error: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,43 @@
+// scripts/migrate-categories.js
+//
+// One-off migration for nested categories: gives every existing (flat)
+// category its `path` / `ancestors` and replaces the old globally unique
+// name / slug indexes with the per-parent one.
+//
+//   node scripts/migrate-categories.js            # migrate
+//   node scripts/migrate-categories.js --dry-run  # only report what would change
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const { Category } = require('../models/model');
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log(`✅ Connected to MongoDB${dryRun ? ' (dry run)' : ''}`);
+
+  // Categories created before nesting are all top-level; saving one fills in
+  // its path (see the pre-validate hook in models/model.js)
+  const categories = await Category.find({
+    $or: [{ path: { $exists: false } }, { path: null }]
+  }).sort({ createdAt: 1 });
+
+  if (!dryRun) {
+    await Category.syncIndexes();
+    for (const category of categories) {
+      await category.save();
+    }
+  }
+
+  console.log(`${dryRun ? 'Would migrate' : 'Migrated'} ${categories.length} categor${categories.length === 1 ? 'y' : 'ies'}`);
+
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error('❌ Migration failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,41 @@
+// scripts/migrate-publication.js
+//
+// One-off migration for the publication workflow: gives every existing dress
+// a `status` matching its isActive flag (active -> published, inactive ->
+// archived). Dresses without one already behave that way; this makes the
+// stored status and the admin ?status= filter agree with them.
+//
+//   node scripts/migrate-publication.js            # migrate
+//   node scripts/migrate-publication.js --dry-run  # only report what would change
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const { Dress } = require('../models/model');
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log(`✅ Connected to MongoDB${dryRun ? ' (dry run)' : ''}`);
+
+  // Trashed dresses too, so they come back with the right status
+  const options = { withDeleted: true };
+  const missing = { status: { $exists: false } };
+
+  for (const [isActive, status] of [[true, 'published'], [false, 'archived']]) {
+    const filter = { ...missing, isActive };
+    const count = dryRun
+      ? await Dress.countDocuments(filter, options)
+      : (await Dress.updateMany(filter, { $set: { status } }, options)).modifiedCount;
+    console.log(`${dryRun ? 'Would set' : 'Set'} ${count} dress${count === 1 ? '' : 'es'} to ${status}`);
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error('❌ Migration failed:', error);
+  process.exit(1);
+});
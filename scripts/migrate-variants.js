@@ -0,0 +1,131 @@
+// scripts/migrate-variants.js
+//
+// One-off migration: build the size × colour `variants` matrix for dresses that
+// only have the legacy `sizes[]` / `colors[]` lists.
+//
+//   node scripts/migrate-variants.js --dry-run                    # only report
+//   node scripts/migrate-variants.js --opening-stock=5            # migrate
+//   node scripts/migrate-variants.js --dry-run --opening-stock=5  # preview with it
+//
+// Stock was never tracked before variants, so legacy sizes usually say
+// `stock: 0` while being on sale. A variant with no stock is sold out, so
+// carrying that 0 over would sell out the whole catalog. Untracked stock
+// therefore needs an explicit opening stock: --opening-stock=N gives every
+// available size / colour whose legacy stock is 0 N pieces. Without it the
+// migration refuses to run when such sizes exist (a dry run lists them).
+//
+// Real legacy stock carries over: as-is when a size has one colour; with
+// several colours it is put on the first colour and the dress is listed under
+// "needs review" so someone can split it by hand. In the stock ledger the
+// legacy sizes' stock is closed and every migrated variant with stock gets an
+// opening entry, as when a dress is switched to variants through the API.
+//
+// Dresses without any sizes are left alone (no size is made up for them) and
+// listed so their variants can be entered by hand.
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const { Dress } = require('../models/model');
+const {
+  recordOpeningStock,
+  recordClosingStock,
+  removedEntries,
+  sizeKey
+} = require('../utils/inventory');
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+const openingArg = process.argv.find((arg) => arg.startsWith('--opening-stock='));
+const openingStock = openingArg ? Number(openingArg.split('=')[1]) : null;
+
+const buildVariants = (dress) => {
+  const colors = dress.colors.length > 0
+    ? dress.colors
+    : [{ name: '', code: undefined, available: true }];
+
+  const variants = [];
+  let untracked = false;
+  dress.sizes.forEach((s) => {
+    colors.forEach((c, index) => {
+      const available = s.available && c.available;
+      let stock = index === 0 ? s.stock || 0 : 0;
+      if (available && !(s.stock > 0)) {
+        untracked = true;
+        if (openingStock) stock = openingStock;
+      }
+      variants.push({
+        size: s.size,
+        color: c.name,
+        colorCode: c.code,
+        stock,
+        available
+      });
+    });
+  });
+
+  const needsReview = colors.length > 1 && dress.sizes.some((s) => s.stock > 0);
+  return { variants, needsReview, untracked };
+};
+
+const run = async () => {
+  if (openingArg && !(Number.isInteger(openingStock) && openingStock > 0)) {
+    throw new Error('--opening-stock must be a positive whole number');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log(`✅ Connected to MongoDB${dryRun ? ' (dry run)' : ''}`);
+
+  const dresses = await Dress.find({
+    $or: [{ variants: { $exists: false } }, { variants: { $size: 0 } }]
+  });
+
+  const noSizes = [];
+  const needsReview = [];
+  const untracked = [];
+  const plans = [];
+  dresses.forEach((dress) => {
+    const label = dress.sku || dress._id.toString();
+    if (dress.sizes.length === 0) {
+      noSizes.push(label);
+      return;
+    }
+    const result = buildVariants(dress);
+    if (result.needsReview) needsReview.push(label);
+    if (result.untracked) untracked.push(label);
+    plans.push({ dress, variants: result.variants });
+  });
+
+  if (untracked.length > 0 && !openingStock) {
+    console.log(`⚠️  ${untracked.length} dress(es) have available sizes without stock: ${untracked.join(', ')}`);
+    console.log('   Pass --opening-stock=N to give those sizes an opening stock of N.');
+    if (!dryRun) throw new Error('Opening stock required; nothing was migrated');
+  }
+
+  for (const { dress, variants } of plans) {
+    if (dryRun) continue;
+    const closedSizes = removedEntries(dress.sizes, [], sizeKey);
+    dress.variants = variants;
+    await dress.save();
+    await recordClosingStock(dress, 'sizes', closedSizes, null);
+    await recordOpeningStock(dress, dress.variants, null);
+  }
+
+  console.log(`${dryRun ? 'Would migrate' : 'Migrated'} ${plans.length} dress(es)`);
+  if (openingStock && untracked.length > 0) {
+    console.log(`Opening stock of ${openingStock} for untracked sizes on ${untracked.length} dress(es)`);
+  }
+  if (needsReview.length > 0) {
+    console.log(`⚠️  ${needsReview.length} dress(es) need stock split by colour: ${needsReview.join(', ')}`);
+  }
+  if (noSizes.length > 0) {
+    console.log(`⚠️  ${noSizes.length} dress(es) have no sizes and were skipped; add their variants by hand: ${noSizes.join(', ')}`);
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error('❌ Migration failed:', error);
+  process.exit(1);
+});
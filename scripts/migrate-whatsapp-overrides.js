@@ -0,0 +1,71 @@
+// scripts/migrate-whatsapp-overrides.js
+//
+// One-off migration for sales-agent routing: whatsappNumber used to be
+// required on every dress, so every existing dress carries the store number,
+// and a dress number is now an override that bypasses the agents. This
+// clears overrides that are just the store number so those dresses get routed
+// (see utils/agentRouting.js). Numbers are compared by their digits only.
+//
+//   node scripts/migrate-whatsapp-overrides.js                           # clear STORE_WHATSAPP_NUMBER
+//   node scripts/migrate-whatsapp-overrides.js --number=+919876543210    # also clear this number
+//   node scripts/migrate-whatsapp-overrides.js --dry-run                 # only report what would change
+//
+// --number may be repeated, e.g. for an old store number. Overrides that are
+// left are listed so they can be checked by hand.
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const { Dress } = require('../models/model');
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+const digitsOf = (number) => String(number || '').replace(/\D/g, '');
+
+const storeNumbers = new Set(
+  [
+    process.env.STORE_WHATSAPP_NUMBER,
+    ...process.argv
+      .filter((arg) => arg.startsWith('--number='))
+      .map((arg) => arg.slice('--number='.length))
+  ]
+    .map(digitsOf)
+    .filter(Boolean)
+);
+
+const run = async () => {
+  if (storeNumbers.size === 0) {
+    throw new Error('Set STORE_WHATSAPP_NUMBER or pass --number=<store number>');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log(`✅ Connected to MongoDB${dryRun ? ' (dry run)' : ''}`);
+
+  // Trashed dresses too, so they are routed when restored
+  const options = { withDeleted: true };
+  const numbers = await Dress.distinct(
+    'whatsappNumber',
+    { whatsappNumber: { $nin: [null, ''] } },
+    options
+  );
+  const cleared = numbers.filter((number) => storeNumbers.has(digitsOf(number)));
+  const kept = numbers.filter((number) => !storeNumbers.has(digitsOf(number)));
+
+  const filter = { whatsappNumber: { $in: cleared } };
+  const count = dryRun
+    ? await Dress.countDocuments(filter, options)
+    : (await Dress.updateMany(filter, { $unset: { whatsappNumber: 1 } }, options)).modifiedCount;
+  console.log(`${dryRun ? 'Would clear' : 'Cleared'} the store number override on ${count} dress${count === 1 ? '' : 'es'}`);
+
+  for (const number of kept) {
+    const left = await Dress.countDocuments({ whatsappNumber: number }, options);
+    console.log(`⚠️  ${left} dress${left === 1 ? '' : 'es'} keep the override ${number}`);
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error('❌ Migration failed:', error);
+  process.exit(1);
+});
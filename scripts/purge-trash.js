@@ -0,0 +1,41 @@
+// scripts/purge-trash.js
+//
+// Purge job for the trash: permanently deletes dresses and categories that
+// were moved to the trash more than TRASH_RETENTION_DAYS (default 30) ago and
+// destroys their Cloudinary images. Meant to run daily from cron.
+//
+//   node scripts/purge-trash.js            # purge
+//   node scripts/purge-trash.js --dry-run  # only report what is due
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const { TRASH_RETENTION_DAYS, purgeExpiredTrash } = require('../utils/trash');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log(`✅ Connected to MongoDB${dryRun ? ' (dry run)' : ''}`);
+
+  const result = await purgeExpiredTrash({ dryRun });
+
+  console.log(`Retention: ${TRASH_RETENTION_DAYS} days (trashed before ${result.cutoff.toISOString()})`);
+  console.log(`${dryRun ? 'Due' : 'Purged'}: ${result.dresses} dresses, ${result.categories} categories`);
+  if (result.skipped > 0) {
+    console.log(`Kept ${result.skipped} categories that still have subcategories or dresses`);
+  }
+  result.errors.forEach((e) => {
+    console.error(`❌ Could not purge ${e.type} ${e._id} (${e.name}): ${e.error}`);
+  });
+
+  await mongoose.disconnect();
+  if (result.errors.length > 0) process.exit(1);
+};
+
+run().catch((error) => {
+  console.error('❌ Purge failed:', error);
+  process.exit(1);
+});
@@ -26,6 +26,13 @@ const accessLogStream = fs.createWriteStream(
 // Initialize Express app
 const app = express();
 
+// Behind a reverse proxy (Nginx, Render, etc.) set TRUST_PROXY so req.ip is the
+// real client IP; login throttling counts failures per IP.
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : Number(trustProxy) || trustProxy);
+}
+
 // ──────────────────────────────────────────────────────────────────────────────
 // 1) REQUEST LOGGING with Morgan
 //    - “combined” format (remote IP, method, URL, status, user-agent, etc.)
@@ -40,6 +47,7 @@ app.use(
   cors({
     origin: process.env.FRONTEND_URL || 'http://localhost:3000',
     credentials: true,
+    exposedHeaders: ['X-Cart-Id', 'Retry-After']
   })
 );
 
@@ -49,16 +57,56 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // ──────────────────────────────────────────────────────────────────────────────
-// 4) AUTH ROUTES
-//    Register & Login endpoints (no protection needed here)
+// 4) AUTH & USER ROUTES
+//    Register, login & session endpoints (protected ones use auth middleware inside the router)
+//    plus admin-only user and API-key management
 const authRoutes = require('./routes/auth');
 app.use('/api/auth', authRoutes);
+const userRoutes = require('./routes/users');
+app.use('/api/users', userRoutes);
+const apiKeyRoutes = require('./routes/apiKeys');
+app.use('/api/api-keys', apiKeyRoutes);
 
 // ──────────────────────────────────────────────────────────────────────────────
-// 5) APPLICATION ROUTES (Category & Dress)
-//    These will be protected inside the router itself (using auth middleware)
+// 5) APPLICATION ROUTES (catalog, translations, history, trash, bulk import, collections, promotions, coupons, currencies, inventory, reviews, wishlist, leads, cart, agents, WhatsApp templates)
+//    These will be protected inside the router itself (using auth middleware).
+//    Every /api request gets req.locale from ?lang= / Accept-Language first.
+//    Translation and history routes are mounted before the catalog so
+//    /api/category/:id/translations (or /history) isn't taken for a category slug path.
+const { resolveLocale } = require('./middleware/locale');
+app.use('/api', resolveLocale);
+const translationRoutes = require('./routes/translations');
+app.use('/api', translationRoutes);
+const revisionRoutes = require('./routes/revisions');
+app.use('/api', revisionRoutes);
 const routes = require('./routes/routes');
 app.use('/api', routes);
+const trashRoutes = require('./routes/trash');
+app.use('/api', trashRoutes);
+const importRoutes = require('./routes/imports');
+app.use('/api', importRoutes);
+const collectionRoutes = require('./routes/collections');
+app.use('/api', collectionRoutes);
+const promotionRoutes = require('./routes/promotions');
+app.use('/api', promotionRoutes);
+const couponRoutes = require('./routes/coupons');
+app.use('/api', couponRoutes);
+const currencyRoutes = require('./routes/currencies');
+app.use('/api', currencyRoutes);
+const inventoryRoutes = require('./routes/inventory');
+app.use('/api', inventoryRoutes);
+const reviewRoutes = require('./routes/reviews');
+app.use('/api', reviewRoutes);
+const wishlistRoutes = require('./routes/wishlist');
+app.use('/api', wishlistRoutes);
+const leadRoutes = require('./routes/leads');
+app.use('/api', leadRoutes);
+const cartRoutes = require('./routes/cart');
+app.use('/api', cartRoutes);
+const agentRoutes = require('./routes/agents');
+app.use('/api', agentRoutes);
+const whatsappRoutes = require('./routes/whatsapp');
+app.use('/api', whatsappRoutes);
 
 // ──────────────────────────────────────────────────────────────────────────────
 // 6) HEALTH CHECK ENDPOINT
@@ -67,21 +115,131 @@ app.get('/', (req, res) => {
     message: 'Dress Catalog Backend API is running!',
     version: '1.0.0',
     endpoints: {
-      'POST   /api/auth/register': 'Register a new user',
-      'POST   /api/auth/login': 'Log in (returns JWT)',
+      'POST   /api/auth/register': 'Register a new user (always role=user)',
+      'POST   /api/auth/bootstrap-admin': 'Create the first admin (one-time, needs ADMIN_BOOTSTRAP_SECRET)',
+      'POST   /api/auth/login': 'Log in (returns access JWT + refresh token; throttled on failures)',
+      'POST   /api/auth/refresh': 'Rotate refresh token and get a new access JWT',
+      'POST   /api/auth/logout': 'Revoke a refresh token (this session)',
+      'POST   /api/auth/logout-all': 'Revoke all sessions of the current user',
+      'POST   /api/auth/forgot-password': 'Email a password reset link',
+      'POST   /api/auth/reset-password': 'Reset password with a reset token',
+      'POST   /api/auth/verify-email': 'Verify email with a verification token',
+      'POST   /api/auth/resend-verification': 'Resend the verification email (logged in)',
+      'GET    /api/auth/me': 'Current user profile (logged in)',
+      'PUT    /api/auth/me': 'Update username / email (logged in)',
+      'PUT    /api/auth/me/password': 'Change password; logs out other sessions (logged in)',
+      'POST   /api/auth/revoke/:userId': 'Revoke all sessions of a user (user:manage)',
+      'GET    /api/users': 'List / search users (user:manage)',
+      'GET    /api/users/:id': 'Get a user (user:manage)',
+      'PUT    /api/users/:id/role': 'Promote / demote a user (user:manage)',
+      'PUT    /api/users/:id/disable': 'Disable a user and revoke sessions (user:manage)',
+      'PUT    /api/users/:id/enable': 'Re-enable a user (user:manage)',
+      'PUT    /api/users/:id/unlock': 'Lift a login lockout (user:manage)',
+      'DELETE /api/users/:id': 'Delete a user (user:manage)',
+      'GET    /api/api-keys': 'List API keys (apikey:manage)',
+      'POST   /api/api-keys': 'Create a scoped API key; send it as X-API-Key (apikey:manage)',
+      'PUT    /api/api-keys/:id/revoke': 'Revoke an API key (apikey:manage)',
+      'DELETE /api/api-keys/:id': 'Delete an API key (apikey:manage)',
+      'GET    /api/locales': 'Supported catalog languages; public routes take ?lang= or Accept-Language and fall back to English (public)',
       'GET    /api/categories': 'Get all categories (public)',
-      'GET    /api/category/:identifier': 'Get single category by ID or slug (public)',
-      'POST   /api/category': 'Create new category (admin only)',
-      'PUT    /api/category/:id': 'Update category (admin only)',
-      'DELETE /api/category/:id': 'Delete category (admin only)',
-      'GET    /api/dresses': 'Get all dresses (public)',
+      'GET    /api/categories/tree': 'Category tree with nested subcategories (public)',
+      'GET    /api/category/:identifier': 'Get single category by ID, slug or path (/api/category/women/ethnic) with breadcrumbs (public)',
+      'GET    /api/category/:id/translations': 'Category name in every language (category:update)',
+      'PUT    /api/category/:id/translations/:locale': 'Edit one translation of a category (category:update)',
+      'GET    /api/category/:id/history': 'Revisions of a category with field-level diffs (audit:read)',
+      'POST   /api/category': 'Create new category (category:create)',
+      'PUT    /api/category/:id': 'Update category (category:update)',
+      'DELETE /api/category/:id': 'Move a category without subcategories or dresses to the trash (category:delete)',
+      'GET    /api/dresses': 'Get live dresses (published and inside their publishAt / unpublishAt window); ?category= includes subcategories, size/color filters match available variants, price filters / sort use promotional prices; ?currency= converts prices (public)',
       'GET    /api/dresses/featured': 'Get featured dresses (public)',
       'GET    /api/dresses/category/:categoryId': 'Get dresses by category (public)',
-      'GET    /api/dress/:id': 'Get single dress details (public)',
+      'GET    /api/dress/:id': 'Get single dress details with breadcrumbs and variant matrix; ?size=&color= picks a variant, ?currency= converts prices (public)',
       'GET    /api/dresses/search': 'Search dresses (public)',
-      'POST   /api/dress': 'Create new dress (admin only)',
-      'PUT    /api/dress/:id': 'Update dress (admin only)',
-      'DELETE /api/dress/:id': 'Delete dress (admin only)'
+      'GET    /api/dress': 'Admin list of all dresses; ?status=draft|scheduled|published|archived&q= (dress:update)',
+      'GET    /api/dress/:id/preview': 'Preview any dress, including drafts and scheduled ones (dress:update)',
+      'POST   /api/dress': 'Create new dress; status / publishAt / unpublishAt (dress:create)',
+      'PUT    /api/dress/:id': 'Update dress; status / publishAt / unpublishAt (dress:update)',
+      'DELETE /api/dress/:id': 'Move a dress to the trash; images are kept until purged (dress:delete)',
+      'GET    /api/dresses/import/template': 'CSV template for the bulk dress import (dress:create + dress:update)',
+      'POST   /api/dresses/import': 'Bulk import dresses from CSV (file or text/csv body), upserted by sku; category by slug / path, images by URL or public_id; ?dryRun=true only validates (dress:create + dress:update)',
+      'GET    /api/dresses/imports': 'Past imports and dry runs (dress:create + dress:update)',
+      'GET    /api/dresses/imports/:id': 'Row results of an import; ?status=error (dress:create + dress:update)',
+      'GET    /api/dresses/imports/:id/report': 'Download the row results of an import as CSV (dress:create + dress:update)',
+      'GET    /api/dress/:id/translations': 'Dress name / description / care instructions in every language (dress:update)',
+      'PUT    /api/dress/:id/translations/:locale': 'Edit one translation of a dress (dress:update)',
+      'GET    /api/dress/:id/history': 'Revisions of a dress with field-level diffs; ?snapshots=true (audit:read)',
+      'GET    /api/dress/:id/history/:version': 'One dress revision with its snapshot (audit:read)',
+      'POST   /api/dress/:id/rollback': 'Roll a dress back to an earlier revision { version } (dress:update)',
+      'GET    /api/audit': 'Catalog audit log; ?user=&model=&action=&from=&to= (audit:read)',
+      'GET    /api/reports/missing-translations': 'Dresses and categories lacking translations; ?locale=&type= (analytics:read)',
+      'GET    /api/trash/dresses': 'Trashed dresses with their purge date (dress:delete)',
+      'GET    /api/trash/categories': 'Trashed categories with their purge date (category:delete)',
+      'POST   /api/trash/dresses/:id/restore': 'Restore a dress from the trash (dress:delete)',
+      'POST   /api/trash/categories/:id/restore': 'Restore a category from the trash (category:delete)',
+      'POST   /api/trash/purge': 'Delete items trashed longer than TRASH_RETENTION_DAYS and their images; ?dryRun=true (dress:delete + category:delete)',
+      'GET    /api/collections': 'Live curated collections, paginated (public)',
+      'GET    /api/collections/:slug': 'A collection with its dresses in curated order, paginated (public)',
+      'GET    /api/collection': 'All collections with status (collection:manage)',
+      'GET    /api/collection/:id': 'A collection with its full dress list (collection:manage)',
+      'POST   /api/collection': 'Create a collection (collection:manage)',
+      'PUT    /api/collection/:id': 'Update a collection / replace its banner (collection:manage)',
+      'PUT    /api/collection/:id/dresses': 'Replace and reorder the dresses of a collection (collection:manage)',
+      'POST   /api/collection/:id/dresses': 'Add or move one dress in a collection (collection:manage)',
+      'DELETE /api/collection/:id/dresses/:dressId': 'Remove a dress from a collection (collection:manage)',
+      'DELETE /api/collection/:id': 'Delete a collection (collection:manage)',
+      'GET    /api/promotions/active': 'Promotions running now (public)',
+      'GET    /api/promotions': 'List promotions; ?status= (promotion:manage)',
+      'GET    /api/promotions/:id': 'Promotion with the number of dresses it covers (promotion:manage)',
+      'POST   /api/promotions': 'Schedule a category / tag / dress promotion (promotion:manage)',
+      'PUT    /api/promotions/:id': 'Update a promotion (promotion:manage)',
+      'DELETE /api/promotions/:id': 'Delete a promotion (promotion:manage)',
+      'POST   /api/coupons/validate': 'Check a coupon code and price one or several dresses with it (public)',
+      'GET    /api/coupons': 'List coupons with usage (coupon:manage)',
+      'POST   /api/coupons': 'Create a coupon code (coupon:manage)',
+      'PUT    /api/coupons/:id': 'Update a coupon (coupon:manage)',
+      'DELETE /api/coupons/:id': 'Delete a coupon (coupon:manage)',
+      'GET    /api/currencies': 'Base currency and supported display currencies with rates (public)',
+      'PUT    /api/currencies/rates': 'Replace exchange rates (settings:manage)',
+      'POST   /api/dress/:id/stock/adjust': 'Atomically adjust variant stock (stock:adjust)',
+      'GET    /api/dress/:id/stock/movements': 'Stock ledger for a dress (stock:read)',
+      'POST   /api/inventory/adjust': 'Bulk stock adjust by SKU (stock:adjust)',
+      'GET    /api/inventory/movements': 'Global stock ledger (stock:read)',
+      'GET    /api/inventory/low-stock': 'Low-stock report (analytics:read)',
+      'GET    /api/dress/:id/reviews': 'Approved reviews, most helpful first (public)',
+      'POST   /api/dress/:id/reviews': 'Write a review; photos as image files (logged in, verified email)',
+      'GET    /api/reviews/mine': 'My reviews (logged in)',
+      'PUT    /api/reviews/:id': 'Edit my review; add photo files / keepPhotos; back to moderation (logged in)',
+      'DELETE /api/reviews/:id': 'Delete my review (owner or review:moderate)',
+      'POST   /api/reviews/:id/helpful': 'Toggle helpful vote (logged in)',
+      'GET    /api/reviews/moderation': 'Moderation queue (review:moderate)',
+      'PUT    /api/reviews/:id/moderate': 'Approve / reject / hide a review (review:moderate)',
+      'GET    /api/wishlist': 'My saved dresses (logged in)',
+      'POST   /api/wishlist/:dressId': 'Save a dress (logged in)',
+      'DELETE /api/wishlist/:dressId': 'Remove a saved dress (logged in)',
+      'GET    /api/reports/most-wishlisted': 'Most wishlisted dresses (analytics:read)',
+      'GET    /api/dress/:id/enquire': 'Record a lead and redirect to WhatsApp (dress number or routed agent); ?size=&color=&coupon= (quoted, not used up)&currency=&source= (public)',
+      'GET    /api/leads': 'List / filter enquiry leads (lead:read)',
+      'GET    /api/leads/export': 'Export leads as CSV (lead:read)',
+      'PUT    /api/leads/:id/follow-up': 'Mark a lead as followed up (lead:manage)',
+      'PUT    /api/leads/:id/convert': 'Mark a lead as converted; counts its quoted coupon as used (lead:manage)',
+      'GET    /api/cart': 'Enquiry cart with availability (guest via X-Cart-Id, or logged in)',
+      'POST   /api/cart/items': 'Add a dress / size / colour to the cart',
+      'PUT    /api/cart/items/:itemId': 'Update a cart line',
+      'DELETE /api/cart/items/:itemId': 'Remove a cart line',
+      'DELETE /api/cart': 'Empty the cart',
+      'POST   /api/cart/merge': 'Merge the guest cart into my cart (logged in)',
+      'POST   /api/cart/enquire': 'Compose WhatsApp messages (one per sales number) for the cart; optional coupon, ?lang=, ?currency=',
+      'GET    /api/agents': 'List sales agents (agent:manage)',
+      'GET    /api/agents/route/:dressId': 'Preview which agent a dress enquiry goes to (agent:manage)',
+      'POST   /api/agents': 'Create a sales agent (agent:manage)',
+      'PUT    /api/agents/:id': 'Update a sales agent (agent:manage)',
+      'DELETE /api/agents/:id': 'Delete a sales agent (agent:manage)',
+      'GET    /api/whatsapp/templates/variables': 'Placeholders available in WhatsApp templates (dress:update)',
+      'POST   /api/whatsapp/templates/validate': 'Validate a WhatsApp template; 400 on unknown placeholders (dress:update)',
+      'GET    /api/whatsapp/templates': 'Store default and per-category WhatsApp templates (dress:update)',
+      'PUT    /api/whatsapp/templates/store': 'Set the store-wide WhatsApp template (settings:manage)',
+      'GET    /api/whatsapp/preview/:dressId': 'Preview the WhatsApp message for a dress; ?size=&color= (dress:update)',
+      'POST   /api/whatsapp/preview/:dressId': 'Preview an unsaved template against a dress (dress:update)'
     }
   });
 });
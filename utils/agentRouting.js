@@ -0,0 +1,96 @@
+// utils/agentRouting.js
+
+const SalesAgent = require('../models/salesAgentModel');
+const { Category } = require('../models/model');
+
+// ──────────────────────────────────────────────────────────────────────────────
+// WhatsApp enquiry routing.
+//    1) A dress's own whatsappNumber is an override and always wins.
+//    2) Otherwise pick among active agents assigned to the dress's category
+//       or, failing that, its nearest parent category; then generalists
+//       (no categories) and then any agent.
+//    3) Prefer agents on shift right now; if nobody is, keep all candidates
+//       so the enquiry still reaches someone.
+//    4) Round-robin: the candidate assigned least recently gets it.
+//    5) With no agents at all, use STORE_WHATSAPP_NUMBER.
+
+const categoryIdOf = (dress) =>
+  dress.category && dress.category._id ? dress.category._id : dress.category;
+
+const candidatesFor = async (categoryId) => {
+  const agents = await SalesAgent.find({ isActive: true });
+  if (agents.length === 0) return [];
+
+  if (categoryId) {
+    const category = await Category.findById(categoryId).select('ancestors');
+    const lineage = [categoryId, ...(category ? [...category.ancestors].reverse() : [])];
+    for (const id of lineage) {
+      const assigned = agents.filter((a) => a.categories.some((c) => c.equals(id)));
+      if (assigned.length > 0) return assigned;
+    }
+  }
+
+  const generalists = agents.filter((a) => a.categories.length === 0);
+  return generalists.length > 0 ? generalists : agents;
+};
+
+// Resolve where an enquiry for `dress` should go.
+// Returns { whatsappNumber, agent } (agent is null for overrides / store number).
+// With `assign: false` the round-robin pointer is not advanced (previews).
+const resolveWhatsappTarget = async (dress, { assign = true, now = new Date() } = {}) => {
+  if (dress.whatsappNumber) {
+    return { whatsappNumber: dress.whatsappNumber, agent: null };
+  }
+
+  let candidates = await candidatesFor(categoryIdOf(dress));
+  if (candidates.length === 0) {
+    return { whatsappNumber: process.env.STORE_WHATSAPP_NUMBER || null, agent: null };
+  }
+
+  const onShift = candidates.filter((a) => a.isOnShift(now));
+  if (onShift.length > 0) candidates = onShift;
+
+  candidates.sort((a, b) =>
+    (a.lastAssignedAt ? a.lastAssignedAt.getTime() : 0) -
+    (b.lastAssignedAt ? b.lastAssignedAt.getTime() : 0)
+  );
+  const agent = candidates[0];
+
+  if (assign) {
+    await SalesAgent.updateOne(
+      { _id: agent._id },
+      { lastAssignedAt: now, $inc: { assignmentCount: 1 } }
+    );
+  }
+
+  return { whatsappNumber: agent.whatsappNumber, agent };
+};
+
+// Resolve targets for several dresses at once, assigning one agent per
+// category so a multi-item enquiry isn't split between agents needlessly.
+// Returns a Map of dressId -> { whatsappNumber, agent }.
+const resolveWhatsappTargets = async (dresses, options) => {
+  const byCategory = new Map();
+  const targets = new Map();
+
+  for (const dress of dresses) {
+    let target;
+    if (dress.whatsappNumber) {
+      target = { whatsappNumber: dress.whatsappNumber, agent: null };
+    } else {
+      const key = String(categoryIdOf(dress));
+      if (!byCategory.has(key)) {
+        byCategory.set(key, await resolveWhatsappTarget(dress, options));
+      }
+      target = byCategory.get(key);
+    }
+    targets.set(dress._id.toString(), target);
+  }
+
+  return targets;
+};
+
+module.exports = {
+  resolveWhatsappTarget,
+  resolveWhatsappTargets
+};
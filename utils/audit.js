@@ -0,0 +1,96 @@
+// utils/audit.js
+
+const { Revision } = require('../models/revisionModel');
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Audit trail.
+//    Routes that change a dress / category take a snapshot before the change
+//    and call recordRevision() after saving. Snapshots leave out bookkeeping
+//    that has its own history or isn't edited by hand: timestamps, view
+//    counts, ratings and stock (see the inventory ledger).
+
+const IGNORED_PATHS = ['_id', '__v', 'createdAt', 'updatedAt', 'views', 'rating'];
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const withoutStock = (entries) =>
+  Array.isArray(entries) ? entries.map(({ stock, ...rest }) => rest) : entries;
+
+// Plain JSON copy of a dress / category as recorded in revisions
+const snapshotOf = (doc) => {
+  const obj = JSON.parse(JSON.stringify(
+    doc.toObject({ depopulate: true, virtuals: false, versionKey: false, minimize: false })
+  ));
+  IGNORED_PATHS.forEach((path) => delete obj[path]);
+  if (obj.variants) obj.variants = withoutStock(obj.variants);
+  if (obj.sizes) obj.sizes = withoutStock(obj.sizes);
+  return obj;
+};
+
+// Field-level differences between two snapshots: [{ path, from, to }].
+// Nested objects (price, translations, ...) are compared field by field, also
+// when one side is missing; arrays (images, variants, tags, ...) as a whole.
+const diffSnapshots = (before, after, prefix = '') => {
+  const changes = [];
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  keys.forEach((key) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const from = before ? before[key] : undefined;
+    const to = after ? after[key] : undefined;
+    const nested = (isPlainObject(from) || from == null) && (isPlainObject(to) || to == null);
+    if (nested && (isPlainObject(from) || isPlainObject(to))) {
+      changes.push(...diffSnapshots(from, to, path));
+    } else if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ path, from: from === undefined ? null : from, to: to === undefined ? null : to });
+    }
+  });
+  return changes;
+};
+
+// Record a revision of `doc` made by `user` (req.user; null for jobs).
+// `before` is the snapshot taken before the change (null for creates).
+// Updates that changed nothing are not recorded. A failed audit write is
+// logged rather than thrown, since the change itself is already saved.
+//    extra: { rolledBackTo }
+const recordRevision = async (doc, action, user, before = null, extra = {}) => {
+  try {
+    const snapshot = snapshotOf(doc);
+    const changes = action === 'purge' ? [] : diffSnapshots(before || {}, snapshot);
+    if (action === 'update' && changes.length === 0) return null;
+
+    const model = doc.constructor.modelName;
+    // Retry on the rare version clash between two concurrent edits
+    for (let attempt = 0; attempt < 3; attempt += 1) {
+      const last = await Revision.findOne({ model, document: doc._id })
+        .sort({ version: -1 })
+        .select('version');
+      try {
+        return await Revision.create({
+          model,
+          document: doc._id,
+          version: last ? last.version + 1 : 1,
+          action,
+          name: doc.name,
+          changes,
+          snapshot: action === 'purge' ? null : snapshot,
+          rolledBackTo: extra.rolledBackTo || null,
+          user: (user && user.id) || null,
+          apiKey: (user && user.apiKey) || null
+        });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
+    }
+    throw new Error('Could not allocate a revision number');
+  } catch (error) {
+    console.error(`Audit error (${action} ${doc._id}):`, error);
+    return null;
+  }
+};
+
+module.exports = {
+  snapshotOf,
+  diffSnapshots,
+  recordRevision
+};
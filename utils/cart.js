@@ -0,0 +1,149 @@
+// utils/cart.js
+
+const { Dress, isSellable } = require('../models/model');
+const { roundPrice } = require('./promotions');
+const { BASE_CURRENCY, formatPrice, convertAmount } = require('./currency');
+const { translatedField, translateCategory } = require('./locale');
+
+// Check one cart line against the dress's current variants / sizes and stock.
+// Returns { available, reason, unitPrice, sku }.
+const checkLine = (dress, item) => {
+  if (!dress || !dress.isLive()) {
+    return { available: false, reason: 'Dress is no longer available', unitPrice: 0, sku: null };
+  }
+
+  if (dress.variants.length > 0) {
+    const variant = dress.findVariant(item.size, item.color);
+    if (!variant) {
+      return { available: false, reason: 'Size / colour combination not offered', unitPrice: dress.effectivePrice, sku: dress.sku };
+    }
+    const unitPrice = dress.variantPrice(variant);
+    if (!isSellable(variant)) {
+      return { available: false, reason: 'Sold out', unitPrice, sku: variant.sku };
+    }
+    if (variant.stock < item.quantity) {
+      return { available: false, reason: `Only ${variant.stock} left`, unitPrice, sku: variant.sku };
+    }
+    return { available: true, reason: null, unitPrice, sku: variant.sku };
+  }
+
+  // Legacy dress without a variant matrix: check the size list only
+  const unitPrice = dress.effectivePrice;
+  if (item.size) {
+    const size = dress.sizes.find((s) => s.size === item.size);
+    if (!size || !size.available) {
+      return { available: false, reason: 'Size not available', unitPrice, sku: dress.sku };
+    }
+    if (size.stock < item.quantity) {
+      return { available: false, reason: size.stock > 0 ? `Only ${size.stock} left` : 'Sold out', unitPrice, sku: dress.sku };
+    }
+  }
+  return { available: true, reason: null, unitPrice, sku: dress.sku };
+};
+
+// Load every dress in the cart and price / check each line. Dress and
+// category names are in `locale` (default: the store's default locale).
+// Returns { items, total, itemCount, allAvailable }.
+const summarizeCart = async (cart, locale) => {
+  const ids = [...new Set(cart.items.map((i) => i.dress.toString()))];
+  const dresses = await Dress.find({ _id: { $in: ids } }).populate('category', 'name slug translations');
+  const byId = new Map(dresses.map((d) => [d._id.toString(), d]));
+
+  const items = cart.items.map((item) => {
+    const dress = byId.get(item.dress.toString());
+    const check = checkLine(dress, item);
+    return {
+      _id: item._id,
+      dress: dress
+        ? {
+            _id: dress._id,
+            name: translatedField(dress, 'name', locale),
+            sku: dress.sku,
+            image: dress.images[0] || null,
+            category: dress.category && translateCategory(dress.category, locale),
+            whatsappNumber: dress.whatsappNumber
+          }
+        : { _id: item.dress },
+      size: item.size,
+      color: item.color,
+      quantity: item.quantity,
+      sku: check.sku,
+      unitPrice: check.unitPrice,
+      lineTotal: check.unitPrice * item.quantity,
+      available: check.available,
+      unavailableReason: check.reason
+    };
+  });
+
+  const availableItems = items.filter((i) => i.available);
+  return {
+    items,
+    itemCount: items.reduce((sum, i) => sum + i.quantity, 0),
+    total: availableItems.reduce((sum, i) => sum + i.lineTotal, 0),
+    allAvailable: availableItems.length === items.length
+  };
+};
+
+// Compose one WhatsApp message per number, listing every available line with
+// its price and a per-number total. With `coupon` (the result of
+// utils/coupons.js applyCoupon()) each message quotes the code and its share
+// of the discount. Amounts are shown in `currency` (a context from
+// utils/currency.js currencyContext()), default the store currency.
+// Returns [{ whatsappNumber, message, link, total, discount, items }].
+const composeWhatsappMessages = (summary, coupon = null, currency = null) => {
+  const money = (amount) =>
+    formatPrice(convertAmount(amount, currency), currency ? currency.code : BASE_CURRENCY);
+  const discounts = new Map(coupon ? coupon.lines.map((l) => [String(l._id), l.discount]) : []);
+  const groups = new Map();
+  summary.items
+    .filter((i) => i.available)
+    .forEach((item) => {
+      const number = item.dress.whatsappNumber;
+      if (!groups.has(number)) groups.set(number, []);
+      groups.get(number).push(item);
+    });
+
+  return [...groups.entries()].map(([whatsappNumber, items]) => {
+    const subtotal = items.reduce((sum, i) => sum + i.lineTotal, 0);
+    const discount = roundPrice(items.reduce((sum, i) => sum + (discounts.get(String(i._id)) || 0), 0));
+    const total = roundPrice(subtotal - discount);
+    const lines = items.map((item, index) => {
+      const options = [item.size && `Size ${item.size}`, item.color && `Colour ${item.color}`]
+        .filter(Boolean)
+        .join(', ');
+      return `${index + 1}. ${item.dress.name} (${item.sku})` +
+        (options ? ` – ${options}` : '') +
+        ` × ${item.quantity} – ${money(item.lineTotal)}`;
+    });
+
+    const totals = discount > 0
+      ? [
+          `Subtotal: ${money(subtotal)}`,
+          `Coupon ${coupon.code}: -${money(discount)}`,
+          `Total: ${money(total)}`
+        ]
+      : [`Total: ${money(total)}`];
+    const message = [
+      'Hi! I am interested in these dresses:',
+      ...lines,
+      ...totals,
+      'Please confirm availability and delivery details.'
+    ].join('\n');
+
+    const cleanNumber = whatsappNumber.replace(/[\s+]/g, '');
+    return {
+      whatsappNumber,
+      message,
+      link: `https://wa.me/${cleanNumber}?text=${encodeURIComponent(message)}`,
+      total: convertAmount(total, currency),
+      discount: convertAmount(discount, currency),
+      items: items.map((i) => i._id)
+    };
+  });
+};
+
+module.exports = {
+  checkLine,
+  summarizeCart,
+  composeWhatsappMessages
+};
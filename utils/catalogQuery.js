@@ -0,0 +1,68 @@
+// utils/catalogQuery.js
+
+const { Dress } = require('../models/model');
+const { loadPromotions, effectivePriceExpression } = require('./promotions');
+
+// Sort keys shared by the dress listing endpoints. `effectivePrice` is not a
+// stored field: it is computed per query from running promotions.
+const DRESS_SORT_OPTIONS = {
+  '-createdAt': { createdAt: -1 },
+  createdAt: { createdAt: 1 },
+  price: { effectivePrice: 1 },
+  '-price': { effectivePrice: -1 },
+  name: { name: 1 },
+  '-name': { name: -1 },
+  featured: { isFeatured: -1, createdAt: -1 }
+};
+
+// One page of dresses matching `filter`, populated like the public listings.
+// Price ranges and price sorting use the effective (promotional) price, which
+// needs an aggregation; other queries stay a plain find.
+// Returns { dresses, total }.
+const findDressesPage = async ({ filter, minPrice, maxPrice, sort, skip, limit }) => {
+  const byPrice = Boolean(minPrice || maxPrice) || 'effectivePrice' in sort;
+
+  if (!byPrice) {
+    const dresses = await Dress.find(filter)
+      .populate('category', 'name slug translations')
+      .sort(sort)
+      .limit(limit)
+      .skip(skip)
+      .select('-__v');
+    const total = await Dress.countDocuments(filter);
+    return { dresses, total };
+  }
+
+  await loadPromotions();
+  const priceRange = {};
+  if (minPrice) priceRange.$gte = Number(minPrice);
+  if (maxPrice) priceRange.$lte = Number(maxPrice);
+
+  const [result] = await Dress.aggregate([
+    { $match: Dress.find().cast(Dress, filter) },
+    { $addFields: { effectivePrice: effectivePriceExpression() } },
+    ...(minPrice || maxPrice ? [{ $match: { effectivePrice: priceRange } }] : []),
+    {
+      $facet: {
+        page: [{ $sort: { ...sort, _id: 1 } }, { $skip: skip }, { $limit: limit }, { $project: { _id: 1 } }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  const ids = result.page.map((d) => d._id);
+  const found = await Dress.find({ _id: { $in: ids } })
+    .populate('category', 'name slug translations')
+    .select('-__v');
+  const byId = new Map(found.map((d) => [d._id.toString(), d]));
+
+  return {
+    dresses: ids.map((id) => byId.get(id.toString())).filter(Boolean),
+    total: result.total.length > 0 ? result.total[0].count : 0
+  };
+};
+
+module.exports = {
+  DRESS_SORT_OPTIONS,
+  findDressesPage
+};
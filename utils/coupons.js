@@ -0,0 +1,124 @@
+// utils/coupons.js
+
+const { Category } = require('../models/model');
+const { Coupon } = require('../models/couponModel');
+const { roundPrice } = require('./promotions');
+const { formatPrice } = require('./currency');
+
+// Error with an HTTP status, thrown when a code can't be used
+class CouponError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+const categoryIdOf = (dress) =>
+  dress.category && dress.category._id ? dress.category._id : dress.category;
+
+// Look up a code and check it can be used right now.
+// Throws CouponError with the reason when it can't.
+const findUsableCoupon = async (code, now = new Date()) => {
+  const coupon = await Coupon.findOne({ code: normalizeCode(code) });
+  if (!coupon || !coupon.isActive) {
+    throw new CouponError('Invalid coupon code', 404);
+  }
+  if (coupon.startsAt && coupon.startsAt > now) {
+    throw new CouponError('This coupon is not active yet');
+  }
+  if (coupon.expiresAt && coupon.expiresAt <= now) {
+    throw new CouponError('This coupon has expired');
+  }
+  if (coupon.usageLimit != null && coupon.usageCount >= coupon.usageLimit) {
+    throw new CouponError('This coupon has reached its usage limit');
+  }
+  return coupon;
+};
+
+// Apply a coupon to priced lines [{ dress, unitPrice, quantity, ... }].
+// The discount is worked out on the eligible lines (category restriction) and
+// spread over them in proportion to their value. Returns
+// { code, subtotal, eligibleSubtotal, discount, total, lines } where each line
+// gains { lineTotal, eligible, discount, discountedTotal }.
+const applyCoupon = async (coupon, lines) => {
+  let eligibleCategories = null;
+  if (coupon.categories.length > 0) {
+    const ids = await Category.find({
+      $or: [{ _id: { $in: coupon.categories } }, { ancestors: { $in: coupon.categories } }]
+    }).distinct('_id');
+    eligibleCategories = new Set(ids.map(String));
+  }
+
+  const priced = lines.map((line) => ({
+    ...line,
+    lineTotal: roundPrice(line.unitPrice * line.quantity),
+    eligible: !eligibleCategories || eligibleCategories.has(String(categoryIdOf(line.dress))),
+    discount: 0
+  }));
+  const subtotal = roundPrice(priced.reduce((sum, l) => sum + l.lineTotal, 0));
+  const eligibleLines = priced.filter((l) => l.eligible);
+  const eligibleSubtotal = roundPrice(eligibleLines.reduce((sum, l) => sum + l.lineTotal, 0));
+
+  if (eligibleLines.length === 0) {
+    throw new CouponError('This coupon does not apply to these dresses');
+  }
+  if (eligibleSubtotal < coupon.minOrderValue) {
+    throw new CouponError(
+      `This coupon needs at least ${formatPrice(coupon.minOrderValue)} of eligible dresses`
+    );
+  }
+
+  let discount = coupon.type === 'percentage'
+    ? (eligibleSubtotal * coupon.value) / 100
+    : Math.min(coupon.value, eligibleSubtotal);
+  if (coupon.maxDiscount != null) discount = Math.min(discount, coupon.maxDiscount);
+  discount = roundPrice(discount);
+
+  // Spread over the eligible lines; the last one takes the rounding remainder
+  let remaining = discount;
+  eligibleLines.forEach((line, index) => {
+    line.discount = index === eligibleLines.length - 1
+      ? remaining
+      : roundPrice((discount * line.lineTotal) / eligibleSubtotal);
+    remaining = roundPrice(remaining - line.discount);
+  });
+  priced.forEach((line) => {
+    line.discountedTotal = roundPrice(line.lineTotal - line.discount);
+  });
+
+  return {
+    code: coupon.code,
+    type: coupon.type,
+    value: coupon.value,
+    subtotal,
+    eligibleSubtotal,
+    discount,
+    total: roundPrice(subtotal - discount),
+    lines: priced
+  };
+};
+
+// Count one use of a coupon. Enquiries only quote a coupon; a use is counted
+// when staff mark the lead as converted (PUT /api/leads/:id/convert). Atomic,
+// so the usage limit holds under concurrent conversions; returns false when
+// the limit was reached meanwhile.
+const redeemCoupon = async (coupon) => {
+  const result = await Coupon.updateOne(
+    {
+      _id: coupon._id,
+      $or: [{ usageLimit: null }, { $expr: { $lt: ['$usageCount', '$usageLimit'] } }]
+    },
+    { $inc: { usageCount: 1 } }
+  );
+  return result.modifiedCount === 1;
+};
+
+module.exports = {
+  CouponError,
+  normalizeCode,
+  findUsableCoupon,
+  applyCoupon,
+  redeemCoupon
+};
@@ -0,0 +1,70 @@
+// utils/csv.js
+
+// Quote a value for CSV (RFC 4180): wrap in quotes when it contains a comma,
+// quote or newline, doubling any quotes inside. Text starting with a formula
+// character is prefixed with ' so spreadsheets don't execute it.
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) return '';
+  let str = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+// Build a CSV string from rows; `columns` is [{ header, value: (row) => any }]
+const toCsv = (rows, columns) => {
+  const lines = [columns.map((c) => escapeCsv(c.header)).join(',')];
+  rows.forEach((row) => {
+    lines.push(columns.map((c) => escapeCsv(c.value(row))).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+};
+
+// Parse CSV text (RFC 4180: quoted fields, doubled quotes, CRLF / LF line
+// ends, newlines inside quotes) into an array of rows of strings. A leading
+// byte-order mark and blank lines are skipped.
+const parseCsv = (text) => {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((value) => value.trim() !== ''));
+};
+
+module.exports = {
+  escapeCsv,
+  toCsv,
+  parseCsv
+};
@@ -0,0 +1,175 @@
+// utils/currency.js
+
+const fs = require('fs');
+const { getSetting, setSetting } = require('./settings');
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Currencies.
+//    Prices are stored in the store's base currency (STORE_CURRENCY, default
+//    INR). Other currencies are display-only and converted with exchange rates
+//    expressed as "units of that currency per 1 base unit" (e.g. USD: 0.012).
+//    Rates come from EXCHANGE_RATES_FILE when set — a JSON file
+//    { "base": "INR", "rates": { "USD": 0.012 }, "updatedAt": "..." } kept
+//    current by an external job — otherwise from the admin-managed
+//    "exchangeRates" setting (PUT /api/currencies/rates).
+
+const BASE_CURRENCY = (process.env.STORE_CURRENCY || 'INR').toUpperCase();
+const RATES_FILE = process.env.EXCHANGE_RATES_FILE || null;
+
+// Error with an HTTP status, thrown for unknown currencies / bad rates
+class CurrencyError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Whether Intl knows a currency code
+const isCurrencyCode = (code) => {
+  if (!/^[A-Z]{3}$/.test(code)) return false;
+  try {
+    new Intl.NumberFormat('en', { style: 'currency', currency: code });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Minor units of a currency (INR / USD / AED 2, JPY 0, KWD 3)
+const decimalsFor = (code) =>
+  new Intl.NumberFormat('en', { style: 'currency', currency: code }).resolvedOptions().maximumFractionDigits;
+
+// Round half away from zero to `decimals` places (EPSILON keeps 1.005 -> 1.01)
+const roundTo = (amount, decimals) => {
+  const factor = 10 ** decimals;
+  return Math.sign(amount) * Math.round((Math.abs(amount) + Number.EPSILON) * factor) / factor;
+};
+
+// Format an amount with its currency symbol, e.g. 1499 -> "₹1,499"
+const formatPrice = (amount, currency = BASE_CURRENCY) => {
+  if (amount === null || amount === undefined) return '';
+  return new Intl.NumberFormat(currency === 'INR' ? 'en-IN' : 'en-US', {
+    style: 'currency',
+    currency,
+    maximumFractionDigits: decimalsFor(currency),
+    minimumFractionDigits: 0
+  }).format(amount);
+};
+
+// Rates file cache, reloaded when the file changes
+let fileCache = { mtimeMs: 0, data: null };
+
+const readRatesFile = async () => {
+  const stat = await fs.promises.stat(RATES_FILE);
+  if (!fileCache.data || stat.mtimeMs !== fileCache.mtimeMs) {
+    const data = JSON.parse(await fs.promises.readFile(RATES_FILE, 'utf8'));
+    if (data.base && String(data.base).toUpperCase() !== BASE_CURRENCY) {
+      throw new CurrencyError(
+        `Exchange rates file is based on ${data.base}, but the store currency is ${BASE_CURRENCY}`,
+        500
+      );
+    }
+    fileCache = { mtimeMs: stat.mtimeMs, data };
+  }
+  return fileCache.data;
+};
+
+// Current rates: { base, rates: { CODE: rate }, source: file | settings, updatedAt }
+const getExchangeRates = async () => {
+  if (RATES_FILE) {
+    const data = await readRatesFile();
+    return { base: BASE_CURRENCY, rates: data.rates || {}, source: 'file', updatedAt: data.updatedAt || null };
+  }
+  const stored = await getSetting('exchangeRates', { rates: {}, updatedAt: null });
+  return { base: BASE_CURRENCY, rates: stored.rates || {}, source: 'settings', updatedAt: stored.updatedAt };
+};
+
+// Check and store admin-managed rates ({ CODE: rate }); replaces all rates
+const setExchangeRates = async (rates, userId) => {
+  if (RATES_FILE) {
+    throw new CurrencyError('Exchange rates are read from EXCHANGE_RATES_FILE and cannot be edited here', 409);
+  }
+  if (!rates || typeof rates !== 'object' || Array.isArray(rates)) {
+    throw new CurrencyError('rates must be an object such as { "USD": 0.012 }');
+  }
+
+  const clean = {};
+  Object.entries(rates).forEach(([code, rate]) => {
+    const upper = code.toUpperCase();
+    if (!isCurrencyCode(upper)) throw new CurrencyError(`Unknown currency code: ${code}`);
+    if (upper === BASE_CURRENCY) throw new CurrencyError(`${upper} is the base currency`);
+    if (typeof rate !== 'number' || !(rate > 0)) throw new CurrencyError(`Rate for ${upper} must be a positive number`);
+    clean[upper] = rate;
+  });
+
+  return setSetting('exchangeRates', { rates: clean, updatedAt: new Date() }, userId);
+};
+
+// Conversion context for a requested currency (default: base).
+// Returns { code, rate, decimals }; throws CurrencyError when unsupported.
+const currencyContext = async (requested) => {
+  const code = requested ? String(requested).toUpperCase() : BASE_CURRENCY;
+  if (code === BASE_CURRENCY) return { code, rate: 1, decimals: decimalsFor(code) };
+
+  const { rates } = await getExchangeRates();
+  if (!rates[code]) {
+    const available = [BASE_CURRENCY, ...Object.keys(rates)].join(', ');
+    throw new CurrencyError(`Unsupported currency: ${code}. Available: ${available}`);
+  }
+  return { code, rate: rates[code], decimals: decimalsFor(code) };
+};
+
+// Base-currency amount -> requested currency, rounded to its minor unit
+const convertAmount = (amount, ctx) => {
+  if (amount === null || amount === undefined || !ctx || ctx.rate === 1) return amount;
+  return roundTo(amount * ctx.rate, ctx.decimals);
+};
+
+// Price filter bound in the requested currency -> base currency. Widened by
+// half a minor unit so a dress whose converted price shows exactly the bound
+// is still included.
+const toBaseBound = (amount, ctx, bound) => {
+  if (amount === undefined || amount === null || amount === '') return amount;
+  const value = Number(amount);
+  if (!ctx || ctx.rate === 1) return value;
+  const half = 0.5 / 10 ** ctx.decimals;
+  return (bound === 'min' ? value - half : value + half) / ctx.rate;
+};
+
+// Dress (document or plain object) as JSON with its prices in `ctx`'s currency
+const localizeDress = (dress, ctx) => {
+  const json = dress && dress.toJSON ? dress.toJSON() : { ...dress };
+  json.currency = ctx ? ctx.code : BASE_CURRENCY;
+  if (!ctx || ctx.rate === 1) return json;
+
+  if (json.price) {
+    json.price = {
+      ...json.price,
+      original: convertAmount(json.price.original, ctx),
+      discounted: convertAmount(json.price.discounted, ctx)
+    };
+  }
+  json.effectivePrice = convertAmount(json.effectivePrice, ctx);
+  if (Array.isArray(json.variants)) {
+    json.variants = json.variants.map((v) => ({ ...v, price: convertAmount(v.price, ctx) }));
+  }
+  if (json.activePromotion && json.activePromotion.type === 'flat') {
+    json.activePromotion = { ...json.activePromotion, value: convertAmount(json.activePromotion.value, ctx) };
+  }
+  return json;
+};
+
+module.exports = {
+  BASE_CURRENCY,
+  CurrencyError,
+  isCurrencyCode,
+  decimalsFor,
+  roundTo,
+  formatPrice,
+  getExchangeRates,
+  setExchangeRates,
+  currencyContext,
+  convertAmount,
+  toBaseBound,
+  localizeDress
+};
@@ -0,0 +1,390 @@
+// utils/dressImport.js
+
+const { Category, Dress } = require('../models/model');
+const { Collection } = require('../models/collectionModel');
+const { DressImport } = require('../models/dressImportModel');
+const {
+  cloudinary,
+  uploadDressImageFromUrl,
+  deleteMultipleFromCloudinary
+} = require('../middleware/upload');
+const { parseCsv } = require('./csv');
+const {
+  recordOpeningStock,
+  recordClosingStock,
+  preserveStock,
+  removedEntries,
+  variantKey,
+  sizeKey
+} = require('./inventory');
+const { snapshotOf, diffSnapshots, recordRevision } = require('./audit');
+const { TRANSLATION_LOCALES, TRANSLATABLE_FIELDS } = require('../config/locales');
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Bulk dress import.
+//    A CSV sheet (one dress per row, header row first) is matched to the
+//    catalog by `sku`: unknown SKUs create a dress, known ones update it.
+//    Every row is checked against the Dress schema before anything is saved;
+//    a dry run stops there and only reports. A failing row never stops the
+//    others. Empty cells leave a field as it is (or at its default).
+//
+//    List cells use "|" between entries:
+//      tags      "festive|silk"
+//      images    "https://... | dress-catalog/dresses/abc" (URL or public_id;
+//                an existing Cloudinary image must exist and not be used by
+//                another dress, category or collection)
+//      variants  "S:Red:4|M:Red:2:1499" (size:colour:stock[:price]; colour may
+//                be empty). Existing variants keep their stock, which is owned
+//                by the inventory ledger, so stock only seeds new variants; a
+//                left-out price keeps the variant's current price. Stock of
+//                variants left out is closed in the ledger.
+//    Images given for an existing dress replace its images. Replaced images
+//    are not destroyed by the import.
+
+const IMPORT_MAX_ROWS = 1000;
+
+// Columns in template order; headers are matched case-insensitively
+const IMPORT_COLUMNS = [
+  'sku', 'name', 'description', 'category', 'price', 'discountedPrice',
+  'material', 'careInstructions', 'tags', 'variants', 'images', 'status',
+  'publishAt', 'unpublishAt', 'isFeatured', 'sortOrder', 'whatsappNumber',
+  'lowStockThreshold',
+  // Translations, e.g. name_hi, description_gu
+  ...TRANSLATION_LOCALES.flatMap((locale) =>
+    TRANSLATABLE_FIELDS.dress.map((field) => `${field}_${locale}`))
+];
+
+// Cells copied to the dress as they are; Mongoose casts and validates them
+const DIRECT_FIELDS = {
+  name: 'name',
+  description: 'description',
+  price: 'price.original',
+  discountedPrice: 'price.discounted',
+  material: 'material',
+  careInstructions: 'careInstructions',
+  status: 'status',
+  publishAt: 'publishAt',
+  unpublishAt: 'unpublishAt',
+  isFeatured: 'isFeatured',
+  sortOrder: 'sortOrder',
+  whatsappNumber: 'whatsappNumber',
+  lowStockThreshold: 'lowStockThreshold'
+};
+
+// Error with an HTTP status, thrown for sheets that can't be imported at all
+class ImportError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const splitList = (cell) => cell.split('|').map((v) => v.trim()).filter(Boolean);
+
+// Sheet text → [{ row, cells: { column: value } }], header checked
+const readSheet = (text) => {
+  const [header, ...lines] = parseCsv(text);
+  if (!header) throw new ImportError('The file is empty');
+
+  const known = new Map(IMPORT_COLUMNS.map((c) => [c.toLowerCase(), c]));
+  const columns = header.map((h) => known.get(h.trim().toLowerCase()));
+  const unknown = header.filter((h, i) => !columns[i]);
+  if (unknown.length > 0) {
+    throw new ImportError(`Unknown column(s): ${unknown.join(', ')}. See GET /api/dresses/import/template`);
+  }
+  if (!columns.includes('sku')) throw new ImportError('The sheet needs a sku column');
+  if (lines.length === 0) throw new ImportError('The sheet has no dress rows');
+  if (lines.length > IMPORT_MAX_ROWS) {
+    throw new ImportError(`Too many rows (${lines.length}); import at most ${IMPORT_MAX_ROWS} at a time`);
+  }
+
+  return lines.map((line, i) => ({
+    row: i + 2,
+    cells: Object.fromEntries(columns
+      .map((column, c) => [column, (line[c] || '').trim()])
+      .filter(([, value]) => value !== ''))
+  }));
+};
+
+// "S:Red:4:1499" entries → variant objects, starting from the dress's
+// current variant of the same size / colour; malformed entries are reported
+const parseVariants = (cell, current, issues) => {
+  const byKey = new Map(current.map((v) => [variantKey(v), v.toObject()]));
+  return splitList(cell).map((entry) => {
+    const [size, color = '', stock, price] = entry.split(':').map((v) => v.trim());
+    if (!size || stock === undefined || stock === '') {
+      issues.push({ field: 'variants', message: `"${entry}" should be size:colour:stock[:price]` });
+    }
+    const variant = { ...byKey.get(variantKey({ size, color })), size, color, stock: stock || 0 };
+    if (price) variant.price = price;
+    return variant;
+  });
+};
+
+// public_id of an image already on our Cloudinary account, from its URL
+const ownPublicId = (url) => {
+  const cloud = cloudinary.config().cloud_name;
+  const match = cloud && url.match(new RegExp(`^https?://res\\.cloudinary\\.com/${cloud}/image/upload/(.+)$`));
+  if (!match) return null;
+  const parts = match[1].split('/');
+  const version = parts.findIndex((p) => /^v\d+$/.test(p));
+  return parts.slice(version + 1).join('/').replace(/\.[a-z0-9]+$/i, '');
+};
+
+// Images cell → { url, public_id, alt } entries; images the dress already
+// has are kept as they are. Remote URLs are only copied to Cloudinary when
+// `upload` is set (not on dry runs); `uploaded` collects their public_ids so
+// a failed save can remove them again.
+const resolveImages = async (tokens, dress, { upload, uploaded }) => {
+  const current = new Map(dress.images.map((img) => [img.public_id, img.toObject()]));
+  const alt = dress.name || '';
+  const images = [];
+  for (const token of tokens) {
+    const remote = /^https?:\/\//i.test(token);
+    const publicId = remote ? ownPublicId(token) : token;
+    if (publicId && current.has(publicId)) {
+      images.push(current.get(publicId));
+    } else if (!remote) {
+      images.push({ url: cloudinary.url(token, { secure: true }), public_id: token, alt });
+    } else if (publicId) {
+      images.push({ url: token, public_id: publicId, alt });
+    } else if (upload) {
+      const image = await uploadDressImageFromUrl(token);
+      uploaded.push(image.public_id);
+      images.push({ ...image, alt });
+    } else {
+      images.push({ url: token, public_id: token, alt }); // placeholder until uploaded
+    }
+  }
+  return images;
+};
+
+// Remote URL waiting to be copied to Cloudinary (see resolveImages)
+const isPlaceholder = (publicId) => /^https?:\/\//i.test(publicId);
+
+// Check images a row attaches that the dress doesn't have yet: each
+// Cloudinary public_id must exist and not belong to another dress (also in
+// the trash), category, collection or an earlier row of the sheet — shared
+// images would be destroyed when the other owner is purged. Lookups are
+// cached per import in `context`.
+const checkImages = async (images, dress, context, issues) => {
+  const current = new Set(dress.images.map((img) => img.public_id));
+  const owner = String(dress._id);
+  for (const { public_id: id } of images) {
+    if (isPlaceholder(id) || current.has(id)) continue;
+
+    const claimedBy = context.imageOwners.get(id);
+    if (claimedBy && claimedBy !== owner) {
+      issues.push({ field: 'images', message: `${id} is used by an earlier row of the sheet` });
+      continue;
+    }
+    const [otherDress, category, collection] = await Promise.all([
+      Dress.exists({ 'images.public_id': id, _id: { $ne: dress._id } }).setOptions({ withDeleted: true }),
+      Category.exists({ 'image.public_id': id }).setOptions({ withDeleted: true }),
+      Collection.exists({ 'banner.public_id': id })
+    ]);
+    if (otherDress || category || collection) {
+      const what = otherDress ? 'another dress' : category ? 'a category' : 'a collection';
+      issues.push({ field: 'images', message: `${id} is already used by ${what}` });
+      continue;
+    }
+
+    if (!context.verifiedImages.has(id)) {
+      try {
+        await cloudinary.api.resource(id);
+        context.verifiedImages.set(id, null);
+      } catch (error) {
+        const status = error.http_code || (error.error && error.error.http_code);
+        context.verifiedImages.set(id, status === 404
+          ? `${id} was not found on Cloudinary`
+          : `${id} could not be checked on Cloudinary: ${error.message || (error.error && error.error.message)}`);
+      }
+    }
+    const problem = context.verifiedImages.get(id);
+    if (problem) issues.push({ field: 'images', message: problem });
+    else context.imageOwners.set(id, owner);
+  }
+};
+
+// Category slug / path → id, looked up once per import
+const categoryResolver = () => {
+  const cache = new Map();
+  return async (identifier) => {
+    const key = identifier.toLowerCase();
+    if (!cache.has(key)) {
+      const category = await Category.findByIdentifier(identifier);
+      cache.set(key, category ? category._id : null);
+    }
+    return cache.get(key);
+  };
+};
+
+// Row result for a row that can't be imported (more issues may follow)
+const failedRow = ({ row, cells }, issues) => ({
+  row,
+  sku: cells.sku || '',
+  name: cells.name || '',
+  action: null,
+  status: 'error',
+  issues,
+  dress: null
+});
+
+// Schema errors as row issues, skipping fields already reported (e.g. an
+// unknown category is not also "Category is required")
+const validationIssues = (error, issues) => {
+  const reported = new Set(issues.map((i) => i.field));
+  return Object.entries(error.errors)
+    .filter(([field]) => !reported.has(field))
+    .map(([field, e]) => ({ field, message: e.message }));
+};
+
+// Check one row and, unless dryRun, save it. Returns the row result.
+const importRow = async ({ row, cells }, { dryRun, user, context }) => {
+  const result = failedRow({ row, cells }, []);
+  const issues = result.issues;
+
+  const existing = await Dress.findOne({ sku: cells.sku }, null, { withDeleted: true });
+  if (existing && existing.deletedAt) {
+    issues.push({ field: 'sku', message: 'A dress with this SKU is in the trash; restore it first' });
+    return result;
+  }
+  const dress = existing || new Dress({ sku: cells.sku });
+  const before = existing ? snapshotOf(existing) : null;
+  if (!result.name && existing) result.name = existing.name;
+
+  Object.entries(DIRECT_FIELDS).forEach(([column, path]) => {
+    if (cells[column] !== undefined) dress.set(path, cells[column]);
+  });
+  TRANSLATION_LOCALES.forEach((locale) => {
+    TRANSLATABLE_FIELDS.dress.forEach((field) => {
+      const value = cells[`${field}_${locale}`];
+      if (value !== undefined) dress.set(`translations.${locale}.${field}`, value);
+    });
+  });
+  if (cells.tags !== undefined) dress.tags = splitList(cells.tags);
+
+  if (cells.category !== undefined) {
+    const categoryId = await context.resolveCategory(cells.category);
+    if (categoryId) dress.category = categoryId;
+    else issues.push({ field: 'category', message: `Category not found: ${cells.category}` });
+  }
+
+  let addedStock = [];
+  let removedStock = null; // { field, entries }
+  if (cells.variants !== undefined) {
+    const variants = parseVariants(cells.variants, dress.variants, issues);
+    // A legacy dress moving to variants closes its size stock
+    removedStock = dress.variants.length > 0
+      ? { field: 'variants', entries: removedEntries(dress.variants, variants, variantKey) }
+      : { field: 'sizes', entries: removedEntries(dress.sizes, [], sizeKey) };
+    addedStock = preserveStock(dress.variants, variants, variantKey);
+    dress.variants = variants;
+  }
+
+  const imageTokens = cells.images !== undefined ? splitList(cells.images) : [];
+  if (imageTokens.length > 0) {
+    const images = await resolveImages(imageTokens, dress, { upload: false });
+    await checkImages(images, dress, context, issues);
+    dress.images = images;
+  } else if (!existing) {
+    issues.push({ field: 'images', message: 'At least one image is required for a new dress' });
+  }
+
+  try {
+    await dress.validate();
+  } catch (error) {
+    if (error.name !== 'ValidationError') throw error;
+    issues.push(...validationIssues(error, issues));
+  }
+  if (issues.length > 0) return result;
+
+  const changed = !existing || diffSnapshots(before, snapshotOf(dress)).length > 0;
+  result.action = !existing ? 'create' : changed ? 'update' : 'unchanged';
+  result.status = 'ok';
+  if (existing) result.dress = existing._id;
+  if (dryRun || !changed) return result;
+
+  // Real run: copy remote images to Cloudinary, then save
+  const uploaded = [];
+  try {
+    if (imageTokens.length > 0) {
+      dress.images = await resolveImages(imageTokens, dress, { upload: true, uploaded });
+    }
+    await dress.save();
+    result.dress = dress._id;
+  } catch (error) {
+    await deleteMultipleFromCloudinary(uploaded).catch(() => null); // logged there
+    result.action = null;
+    result.status = 'error';
+    result.dress = null;
+    if (error.name === 'ValidationError') issues.push(...validationIssues(error, issues));
+    else if (error.code === 11000) issues.push({ field: 'sku', message: 'SKU already in use' });
+    else issues.push({ field: '', message: error.message });
+    return result;
+  }
+
+  if (existing) {
+    const addedKeys = new Set(addedStock.map(variantKey));
+    if (removedStock) await recordClosingStock(dress, removedStock.field, removedStock.entries, user);
+    await recordOpeningStock(dress, dress.variants.filter((v) => addedKeys.has(variantKey(v))), user);
+  } else {
+    await recordOpeningStock(dress, dress.variants.length > 0 ? dress.variants : dress.sizes, user);
+  }
+  await recordRevision(dress, existing ? 'update' : 'create', user, before);
+  return result;
+};
+
+// Run an import of CSV `text`. Rows are handled one at a time, in sheet
+// order; a SKU repeated further down the sheet is reported, not applied twice.
+//    options: { dryRun, filename, user }
+// Returns the saved DressImport.
+const importDresses = async (text, { dryRun = false, filename = '', user = null } = {}) => {
+  const sheet = readSheet(text);
+  const context = {
+    resolveCategory: categoryResolver(),
+    imageOwners: new Map(), // public_id → dress id, for images claimed by earlier rows
+    verifiedImages: new Map() // public_id → problem (null when it exists)
+  };
+  const seen = new Set();
+  const rows = [];
+
+  for (const line of sheet) {
+    const sku = line.cells.sku;
+    if (!sku || seen.has(sku)) {
+      rows.push(failedRow(line, [
+        { field: 'sku', message: sku ? 'SKU appears earlier in the sheet' : 'SKU is required' }
+      ]));
+      continue;
+    }
+    seen.add(sku);
+    try {
+      rows.push(await importRow(line, { dryRun, user, context }));
+    } catch (error) {
+      rows.push(failedRow(line, [{ field: '', message: error.message }]));
+    }
+  }
+
+  const count = (test) => rows.filter(test).length;
+  return DressImport.create({
+    filename,
+    dryRun,
+    counts: {
+      total: rows.length,
+      created: count((r) => r.action === 'create'),
+      updated: count((r) => r.action === 'update'),
+      unchanged: count((r) => r.action === 'unchanged'),
+      failed: count((r) => r.status === 'error')
+    },
+    rows,
+    user: (user && user.id) || null,
+    apiKey: (user && user.apiKey) || null
+  });
+};
+
+module.exports = {
+  IMPORT_MAX_ROWS,
+  IMPORT_COLUMNS,
+  ImportError,
+  importDresses
+};
@@ -0,0 +1,206 @@
+// utils/inventory.js
+
+const { Dress, deriveLegacyLists } = require('../models/model');
+const StockMovement = require('../models/stockMovementModel');
+
+const MOVEMENT_TYPES = ['restock', 'sale', 'return', 'correction'];
+
+// Default alert level for dresses without their own lowStockThreshold
+const LOW_STOCK_THRESHOLD = parseInt(process.env.LOW_STOCK_THRESHOLD) || 3;
+
+// Error with an HTTP status, thrown for bad adjust requests
+class InventoryError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Signed stock change for a movement. restock / return / sale take a positive
+// quantity; correction takes a signed one.
+const deltaFor = (type, quantity) => {
+  const qty = Number(quantity);
+  if (!MOVEMENT_TYPES.includes(type)) {
+    throw new InventoryError(`type must be one of: ${MOVEMENT_TYPES.join(', ')}`);
+  }
+  if (!Number.isInteger(qty) || qty === 0) {
+    throw new InventoryError('quantity must be a non-zero integer');
+  }
+  if (type === 'correction') return qty;
+  if (qty < 0) {
+    throw new InventoryError(`quantity must be positive for ${type}`);
+  }
+  return type === 'sale' ? -qty : qty;
+};
+
+// Resolve which stock entry of a dress to adjust. Dresses with variants are
+// addressed by { variantId } | { sku } | { size, color }; legacy dresses by { size }.
+const resolveTarget = (dress, { variantId, sku, size, color }) => {
+  if (dress.variants.length > 0) {
+    let variant = null;
+    if (variantId) variant = dress.variants.id(variantId);
+    else if (sku) variant = dress.variants.find((v) => v.sku === sku);
+    else if (size) variant = dress.findVariant(size, color);
+
+    if (!variant) throw new InventoryError('Variant not found', 404);
+    return {
+      field: 'variants',
+      match: { _id: variant._id },
+      entry: variant,
+      movement: { variant: variant._id, sku: variant.sku, size: variant.size, color: variant.color }
+    };
+  }
+
+  const entry = size && dress.sizes.find((s) => s.size === size);
+  if (!entry) throw new InventoryError('Size not found', 404);
+  return {
+    field: 'sizes',
+    match: { size: entry.size },
+    entry,
+    movement: { variant: null, sku: dress.sku, size: entry.size, color: '' }
+  };
+};
+
+// Atomically apply a stock movement and append it to the ledger.
+//    - stock can never go below zero (the update only matches if enough is left)
+//    - `available` flips to false when stock hits zero and back to true when
+//      a sold-out entry is restocked
+// Returns the created StockMovement.
+const adjustStock = async ({ dressId, target, type, quantity, reason, user }) => {
+  const delta = deltaFor(type, quantity);
+
+  const dress = await Dress.findById(dressId);
+  if (!dress) throw new InventoryError('Dress not found', 404);
+
+  const { field, match, movement } = resolveTarget(dress, target);
+  const elemMatch = delta < 0 ? { ...match, stock: { $gte: -delta } } : match;
+
+  const updated = await Dress.findOneAndUpdate(
+    { _id: dress._id, [field]: { $elemMatch: elemMatch } },
+    { $inc: { [`${field}.$.stock`]: delta } },
+    { new: true }
+  );
+  if (!updated) {
+    throw new InventoryError('Insufficient stock for this adjustment', 409);
+  }
+
+  const entry = resolveTarget(updated, target).entry;
+  const balanceAfter = entry.stock;
+
+  // Flip availability on sell-out / restock
+  if (balanceAfter === 0 && entry.available) {
+    await Dress.updateOne(
+      { _id: dress._id, [field]: { $elemMatch: { ...match, stock: 0 } } },
+      { $set: { [`${field}.$.available`]: false } }
+    );
+    entry.available = false;
+  } else if (balanceAfter > 0 && balanceAfter === delta && !entry.available) {
+    await Dress.updateOne(
+      { _id: dress._id, [field]: { $elemMatch: { ...match, stock: { $gt: 0 } } } },
+      { $set: { [`${field}.$.available`]: true } }
+    );
+    entry.available = true;
+  }
+
+  // Keep the derived legacy lists in step with the variant matrix
+  if (field === 'variants') {
+    await Dress.updateOne({ _id: dress._id }, deriveLegacyLists(updated.variants));
+  }
+
+  return StockMovement.create({
+    dress: dress._id,
+    ...movement,
+    type,
+    quantity: delta,
+    balanceAfter,
+    reason,
+    user: user && user.id,
+    apiKey: (user && user.apiKey) || null
+  });
+};
+
+// Stock is owned by the inventory ledger (POST /api/dress/:id/stock/adjust).
+// When a dress update or import replaces its sizes / variants, keep the
+// current stock of entries that already exist and return the newly added ones.
+const preserveStock = (existing, incoming, keyOf) => {
+  const current = new Map(existing.map((e) => [keyOf(e), e]));
+  const added = [];
+  incoming.forEach((item) => {
+    const match = current.get(keyOf(item));
+    if (match) {
+      item.stock = match.stock;
+      if (match._id) item._id = match._id;
+      if (match.sku && !item.sku) item.sku = match.sku;
+    } else {
+      added.push(item);
+    }
+  });
+  return added;
+};
+const variantKey = (v) => `${v.size}|${(v.color || '').toLowerCase()}`;
+const sizeKey = (s) => s.size;
+
+// Entries of `existing` (as plain objects) that `incoming` no longer has
+const removedEntries = (existing, incoming, keyOf) => {
+  const kept = new Set(incoming.map(keyOf));
+  return existing
+    .filter((e) => !kept.has(keyOf(e)))
+    .map((e) => (e.toObject ? e.toObject() : e));
+};
+
+// Record the opening balance of newly created stock entries (on dress create,
+// or variants added through PUT) so the ledger always sums to current stock
+const recordOpeningStock = async (dress, entries, user) => {
+  const field = dress.variants.length > 0 ? 'variants' : 'sizes';
+  const movements = entries
+    .filter((e) => e.stock > 0)
+    .map((e) => ({
+      dress: dress._id,
+      variant: field === 'variants' ? e._id : null,
+      sku: field === 'variants' ? e.sku : dress.sku,
+      size: e.size,
+      color: e.color || '',
+      type: 'correction',
+      quantity: e.stock,
+      balanceAfter: e.stock,
+      reason: 'Opening stock',
+      user: user && user.id,
+      apiKey: (user && user.apiKey) || null
+    }));
+  if (movements.length > 0) await StockMovement.insertMany(movements);
+};
+
+// Record the closing balance of stock entries removed from a dress (sizes /
+// variants dropped by PUT or a rollback), so the ledger still sums to current
+// stock. `field` is where the entries lived: 'variants' or 'sizes'.
+const recordClosingStock = async (dress, field, entries, user) => {
+  const movements = entries
+    .filter((e) => e.stock > 0)
+    .map((e) => ({
+      dress: dress._id,
+      variant: field === 'variants' ? e._id : null,
+      sku: field === 'variants' ? e.sku : dress.sku,
+      size: e.size,
+      color: e.color || '',
+      type: 'correction',
+      quantity: -e.stock,
+      balanceAfter: 0,
+      reason: 'Removed from the dress',
+      user: user && user.id,
+      apiKey: (user && user.apiKey) || null
+    }));
+  if (movements.length > 0) await StockMovement.insertMany(movements);
+};
+
+module.exports = {
+  MOVEMENT_TYPES,
+  LOW_STOCK_THRESHOLD,
+  InventoryError,
+  adjustStock,
+  recordOpeningStock,
+  recordClosingStock,
+  preserveStock,
+  removedEntries,
+  variantKey,
+  sizeKey
+};
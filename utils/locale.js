@@ -0,0 +1,64 @@
+// utils/locale.js
+
+const {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  TRANSLATION_LOCALES,
+  TRANSLATABLE_FIELDS
+} = require('../config/locales');
+
+// Supported locale for a language tag ("hi-IN" -> "hi"), or null
+const normalizeLocale = (value) => {
+  const base = String(value || '').trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(base) ? base : null;
+};
+
+// Text of `field` in `locale`; falls back to the default-locale field when
+// there is no translation
+const translatedField = (doc, field, locale) => {
+  if (!locale || locale === DEFAULT_LOCALE) return doc[field];
+  const translation = doc.translations && doc.translations[locale];
+  return (translation && translation[field]) || doc[field];
+};
+
+// Plain copy of a dress / category (document or object) with its translatable
+// fields in `locale`. The `translations` map itself is left out.
+const translateDoc = (doc, kind, locale) => {
+  const json = doc && doc.toJSON ? doc.toJSON() : { ...doc };
+  TRANSLATABLE_FIELDS[kind].forEach((field) => {
+    if (json[field] !== undefined) json[field] = translatedField(json, field, locale);
+  });
+  delete json.translations;
+  return json;
+};
+
+const translateCategory = (category, locale) => translateDoc(category, 'category', locale);
+
+// Dress in `locale`, including its category when populated
+const translateDress = (dress, locale) => {
+  const json = translateDoc(dress, 'dress', locale);
+  if (json.category && json.category.name !== undefined) {
+    json.category = translateCategory(json.category, locale);
+  }
+  return json;
+};
+
+// Translations a dress / category still lacks: [{ locale, fields }].
+// Fields that are empty in the default locale need no translation.
+const missingTranslations = (doc, kind) => {
+  const fields = TRANSLATABLE_FIELDS[kind].filter((field) => doc[field]);
+  return TRANSLATION_LOCALES
+    .map((locale) => {
+      const translation = (doc.translations && doc.translations[locale]) || {};
+      return { locale, fields: fields.filter((field) => !translation[field]) };
+    })
+    .filter((m) => m.fields.length > 0);
+};
+
+module.exports = {
+  normalizeLocale,
+  translatedField,
+  translateCategory,
+  translateDress,
+  missingTranslations
+};
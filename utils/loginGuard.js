@@ -0,0 +1,199 @@
+// utils/loginGuard.js
+
+const fs = require('fs');
+const path = require('path');
+const User = require('../models/userModel');
+const LoginAttempt = require('../models/loginAttemptModel');
+const UnknownLogin = require('../models/unknownLoginModel');
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Login brute-force protection.
+//    - Failures are counted per account (on the User) and per IP (LoginAttempt).
+//    - After FREE_ATTEMPTS failures each further attempt must wait an
+//      exponentially growing delay (1s, 2s, 4s … capped at MAX_DELAY_MS).
+//    - Reaching the max attempts locks the account / IP for LOCK_MINUTES.
+//    - Emails without an account get the same per-account treatment
+//      (UnknownLogin), so the responses don't reveal which emails exist.
+//    Lockouts and unlocks are appended to logs/security.log.
+const ACCOUNT_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const IP_MAX_ATTEMPTS = parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS) || 20;
+const LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES) || 15;
+const FREE_ATTEMPTS = 2;
+const MAX_DELAY_MS = 30 * 1000;
+// How long failures of an unknown email are remembered after the last one
+const UNKNOWN_EMAIL_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const logDirectory = path.join(__dirname, '..', 'logs');
+
+// Append a line to logs/security.log (fire-and-forget, like error.log)
+const logSecurityEvent = (message) => {
+  if (!fs.existsSync(logDirectory)) {
+    fs.mkdirSync(logDirectory);
+  }
+  const entry = `${new Date().toISOString()} - ${message}\n`;
+  fs.appendFile(path.join(logDirectory, 'security.log'), entry, (writeErr) => {
+    if (writeErr) console.error('Failed to write to security.log:', writeErr);
+  });
+};
+
+// Delay required after `failures` consecutive failures
+const delayFor = (failures) => {
+  if (failures <= FREE_ATTEMPTS) return 0;
+  return Math.min(1000 * 2 ** (failures - FREE_ATTEMPTS - 1), MAX_DELAY_MS);
+};
+
+// Returns { blocked, locked, retryAfter (seconds) } for a counter-like record
+const evaluate = (failures, lastFailedAt, lockUntil) => {
+  const now = Date.now();
+
+  if (lockUntil && lockUntil.getTime() > now) {
+    return {
+      blocked: true,
+      locked: true,
+      retryAfter: Math.ceil((lockUntil.getTime() - now) / 1000)
+    };
+  }
+
+  if (lastFailedAt) {
+    const allowedAt = lastFailedAt.getTime() + delayFor(failures);
+    if (allowedAt > now) {
+      return {
+        blocked: true,
+        locked: false,
+        retryAfter: Math.ceil((allowedAt - now) / 1000)
+      };
+    }
+  }
+
+  return { blocked: false, locked: false, retryAfter: 0 };
+};
+
+const lockExpired = (lockUntil) => lockUntil && lockUntil.getTime() <= Date.now();
+
+// ── IP ────────────────────────────────────────────────────────────────────────
+const checkIp = async (ip) => {
+  const record = await LoginAttempt.findOne({ ip });
+  if (!record) return { blocked: false, locked: false, retryAfter: 0 };
+  if (lockExpired(record.lockUntil)) return { blocked: false, locked: false, retryAfter: 0 };
+  return evaluate(record.failures, record.lastFailedAt, record.lockUntil);
+};
+
+const recordIpFailure = async (ip) => {
+  const now = new Date();
+  const windowEnd = new Date(now.getTime() + LOCK_MINUTES * 60 * 1000);
+
+  let record = await LoginAttempt.findOne({ ip });
+  if (record && lockExpired(record.lockUntil)) {
+    await LoginAttempt.deleteOne({ _id: record._id });
+    record = null;
+  }
+
+  record = await LoginAttempt.findOneAndUpdate(
+    { ip },
+    { $inc: { failures: 1 }, $set: { lastFailedAt: now, expiresAt: windowEnd } },
+    { new: true, upsert: true }
+  );
+
+  if (record.failures >= IP_MAX_ATTEMPTS && !record.lockUntil) {
+    record.lockUntil = windowEnd;
+    await record.save();
+    logSecurityEvent(`LOCKOUT ip=${ip} failures=${record.failures} until=${windowEnd.toISOString()}`);
+  }
+};
+
+// ── Account ───────────────────────────────────────────────────────────────────
+const checkAccount = (user) => {
+  if (lockExpired(user.lockUntil)) return { blocked: false, locked: false, retryAfter: 0 };
+  return evaluate(user.failedLoginAttempts, user.lastFailedLoginAt, user.lockUntil);
+};
+
+const recordAccountFailure = async (user, ip) => {
+  const now = new Date();
+
+  // A finished lockout starts a fresh count
+  if (lockExpired(user.lockUntil)) {
+    await User.updateOne(
+      { _id: user._id },
+      { failedLoginAttempts: 0, lockUntil: null }
+    );
+  }
+
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: now } },
+    { new: true }
+  ).select('email failedLoginAttempts lockUntil');
+
+  if (updated.failedLoginAttempts >= ACCOUNT_MAX_ATTEMPTS && !updated.lockUntil) {
+    const lockUntil = new Date(now.getTime() + LOCK_MINUTES * 60 * 1000);
+    await User.updateOne({ _id: user._id }, { lockUntil });
+    logSecurityEvent(
+      `LOCKOUT user=${user._id} email=${updated.email} ip=${ip} ` +
+      `failures=${updated.failedLoginAttempts} until=${lockUntil.toISOString()}`
+    );
+  }
+};
+
+// ── Unknown email ─────────────────────────────────────────────────────────────
+// Same counting as an account, keyed by the submitted email
+const normalizeEmail = (email) => String(email).toLowerCase().trim();
+
+const checkUnknownEmail = async (email) => {
+  const record = await UnknownLogin.findOne({ email: normalizeEmail(email) });
+  if (!record || lockExpired(record.lockUntil)) return { blocked: false, locked: false, retryAfter: 0 };
+  return evaluate(record.failures, record.lastFailedAt, record.lockUntil);
+};
+
+const recordUnknownEmailFailure = async (email, ip) => {
+  const now = new Date();
+  const key = normalizeEmail(email);
+
+  // A finished lockout starts a fresh count
+  await UnknownLogin.deleteOne({ email: key, lockUntil: { $ne: null, $lte: now } });
+
+  const record = await UnknownLogin.findOneAndUpdate(
+    { email: key },
+    {
+      $inc: { failures: 1 },
+      $set: { lastFailedAt: now, expiresAt: new Date(now.getTime() + UNKNOWN_EMAIL_WINDOW_MS) }
+    },
+    { new: true, upsert: true }
+  );
+
+  if (record.failures >= ACCOUNT_MAX_ATTEMPTS && !record.lockUntil) {
+    record.lockUntil = new Date(now.getTime() + LOCK_MINUTES * 60 * 1000);
+    await record.save();
+    logSecurityEvent(
+      `LOCKOUT unknown-email=${key} ip=${ip} ` +
+      `failures=${record.failures} until=${record.lockUntil.toISOString()}`
+    );
+  }
+};
+
+const resetAccount = async (user) => {
+  if (!user.failedLoginAttempts && !user.lockUntil) return;
+  await User.updateOne(
+    { _id: user._id },
+    { failedLoginAttempts: 0, lastFailedLoginAt: null, lockUntil: null }
+  );
+};
+
+// Admin unlock: clear the account's counters and log who did it
+const unlockAccount = async (user, adminId) => {
+  await User.updateOne(
+    { _id: user._id },
+    { failedLoginAttempts: 0, lastFailedLoginAt: null, lockUntil: null }
+  );
+  logSecurityEvent(`UNLOCK user=${user._id} email=${user.email} by=${adminId}`);
+};
+
+module.exports = {
+  checkIp,
+  recordIpFailure,
+  checkAccount,
+  recordAccountFailure,
+  checkUnknownEmail,
+  recordUnknownEmailFailure,
+  resetAccount,
+  unlockAccount
+};
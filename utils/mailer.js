@@ -0,0 +1,86 @@
+// utils/mailer.js
+
+const fs = require('fs');
+const path = require('path');
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Pluggable mailer.
+//    MAIL_TRANSPORT selects where messages go:
+//      - "console" (default): print to stdout
+//      - "file":              append to logs/mail.log
+//      - any other value:     treated as a module path exporting `send(message)`
+//                             (e.g. an SMTP / SES adapter)
+//    setTransport() lets code or tests swap the transport at runtime.
+const logDirectory = path.join(__dirname, '..', 'logs');
+
+const consoleTransport = {
+  send: async (message) => {
+    console.log('📧 Mail:', JSON.stringify(message, null, 2));
+  }
+};
+
+const fileTransport = {
+  send: async (message) => {
+    if (!fs.existsSync(logDirectory)) {
+      fs.mkdirSync(logDirectory);
+    }
+    const entry = `${new Date().toISOString()} - ${JSON.stringify(message)}\n`;
+    await fs.promises.appendFile(path.join(logDirectory, 'mail.log'), entry);
+  }
+};
+
+const resolveTransport = () => {
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  if (name === 'console') return consoleTransport;
+  if (name === 'file') return fileTransport;
+  return require(path.resolve(name));
+};
+
+let transport;
+
+const setTransport = (custom) => {
+  transport = custom;
+};
+
+// Send { to, subject, text } through the configured transport
+const sendMail = async ({ to, subject, text }) => {
+  if (!transport) transport = resolveTransport();
+  const message = {
+    from: process.env.MAIL_FROM || 'no-reply@dress-catalog.local',
+    to,
+    subject,
+    text
+  };
+  await transport.send(message);
+  return message;
+};
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+const sendPasswordResetEmail = (user, token) =>
+  sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text:
+      `Hi ${user.username},\n\n` +
+      `Use the link below to reset your password. It expires in 1 hour and can only be used once.\n\n` +
+      `${frontendUrl()}/reset-password?token=${token}\n\n` +
+      `If you didn't request this, you can ignore this email.`
+  });
+
+const sendVerificationEmail = (user, token) =>
+  sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text:
+      `Hi ${user.username},\n\n` +
+      `Please confirm your email address by opening the link below. It expires in 24 hours.\n\n` +
+      `${frontendUrl()}/verify-email?token=${token}`
+  });
+
+module.exports = {
+  sendMail,
+  setTransport,
+  sendPasswordResetEmail,
+  sendVerificationEmail
+};
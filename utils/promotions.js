@@ -0,0 +1,131 @@
+// utils/promotions.js
+
+const mongoose = require('mongoose');
+const { Promotion } = require('../models/promotionModel');
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Promotion pricing.
+//    A dress's effective price is the lowest of:
+//      - its own price (price.discounted, else price.original)
+//      - every running promotion that targets it, applied to price.original
+//        (or to a variant's price override)
+//    Promotions that are running or still to come are cached per process for
+//    CACHE_TTL_MS; whether one is running is decided at read time, so sales
+//    start and end on the minute without a cron job or edits to dresses.
+
+const CACHE_TTL_MS = 60 * 1000;
+let cache = { promotions: [], loadedAt: 0 };
+
+// Round money to paise / cents
+const roundPrice = (amount) => Math.round(amount * 100) / 100;
+
+// Load (or refresh) the promotion cache. Target categories are expanded to
+// their subcategories here so matching a dress is a set lookup.
+const loadPromotions = async ({ force = false } = {}) => {
+  if (!force && Date.now() - cache.loadedAt < CACHE_TTL_MS) return cache.promotions;
+
+  // Looked up lazily: models/model.js depends on this module
+  const Category = mongoose.model('Category');
+  const docs = await Promotion.find({ isActive: true, endsAt: { $gt: new Date() } }).lean();
+
+  const promotions = [];
+  for (const doc of docs) {
+    const categoryIds = doc.categories.length > 0
+      ? await Category.find({
+          $or: [{ _id: { $in: doc.categories } }, { ancestors: { $in: doc.categories } }]
+        }).distinct('_id')
+      : [];
+    promotions.push({
+      ...doc,
+      categoryIds,
+      categorySet: new Set(categoryIds.map(String)),
+      dressSet: new Set(doc.dresses.map(String)),
+      tagSet: new Set(doc.tags)
+    });
+  }
+
+  cache = { promotions, loadedAt: Date.now() };
+  return promotions;
+};
+
+// Promotions running at `now`, from the cache (call loadPromotions() first)
+const runningPromotions = (now = new Date()) =>
+  cache.promotions.filter((p) => p.startsAt <= now && p.endsAt > now);
+
+const categoryIdOf = (dress) =>
+  dress.category && dress.category._id ? dress.category._id : dress.category;
+
+// Whether a promotion covers a dress
+const promotionApplies = (promotion, dress) =>
+  promotion.storeWide ||
+  promotion.dressSet.has(String(dress._id)) ||
+  promotion.categorySet.has(String(categoryIdOf(dress))) ||
+  (dress.tags || []).some((tag) => promotion.tagSet.has(tag));
+
+// Price after applying one promotion to an amount
+const applyPromotion = (promotion, amount) =>
+  promotion.type === 'percentage'
+    ? roundPrice(amount * (1 - promotion.value / 100))
+    : Math.max(0, roundPrice(amount - promotion.value));
+
+// Best running promotion for a dress applied to `amount` (default: the
+// original price). Returns { promotion, price } or null.
+const bestPromotion = (dress, amount = dress.price && dress.price.original, now = new Date()) => {
+  if (amount === null || amount === undefined) return null;
+
+  let best = null;
+  runningPromotions(now).forEach((promotion) => {
+    if (!promotionApplies(promotion, dress)) return;
+    const price = applyPromotion(promotion, amount);
+    if (!best || price < best.price) best = { promotion, price };
+  });
+  return best;
+};
+
+// Public shape of a promotion on dress responses
+const promotionSummary = (promotion) => ({
+  _id: promotion._id,
+  name: promotion.name,
+  type: promotion.type,
+  value: promotion.value,
+  endsAt: promotion.endsAt
+});
+
+// Aggregation expression computing a dress's effective price from the running
+// promotions (call loadPromotions() first). Mirrors the effectivePrice virtual.
+const effectivePriceExpression = (now = new Date()) => {
+  const basePrice = {
+    $cond: [{ $gt: ['$price.discounted', 0] }, '$price.discounted', '$price.original']
+  };
+
+  const candidates = runningPromotions(now).map((promotion) => {
+    const applies = promotion.storeWide
+      ? true
+      : {
+          $or: [
+            { $in: ['$_id', promotion.dresses] },
+            { $in: ['$category', promotion.categoryIds] },
+            { $gt: [{ $size: { $setIntersection: [{ $ifNull: ['$tags', []] }, promotion.tags] } }, 0] }
+          ]
+        };
+    const price = promotion.type === 'percentage'
+      ? { $multiply: ['$price.original', 1 - promotion.value / 100] }
+      : { $max: [0, { $subtract: ['$price.original', promotion.value] }] };
+    return { $cond: [applies, price, basePrice] };
+  });
+
+  return candidates.length > 0
+    ? { $round: [{ $min: [basePrice, ...candidates] }, 2] }
+    : basePrice;
+};
+
+module.exports = {
+  roundPrice,
+  loadPromotions,
+  runningPromotions,
+  promotionApplies,
+  applyPromotion,
+  bestPromotion,
+  promotionSummary,
+  effectivePriceExpression
+};
@@ -0,0 +1,46 @@
+// utils/settings.js
+
+const Setting = require('../models/settingModel');
+
+// Settings change rarely, so values are cached per process for a short time.
+// setSetting() refreshes this process's cache immediately; other processes
+// pick the change up within CACHE_TTL_MS.
+const CACHE_TTL_MS = 60 * 1000;
+const cache = new Map(); // key -> { value, loadedAt }
+
+// Read a setting (async), falling back to `defaultValue` when unset
+const getSetting = async (key, defaultValue = null) => {
+  const cached = cache.get(key);
+  if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+    return cached.value ?? defaultValue;
+  }
+
+  const doc = await Setting.findOne({ key }).lean();
+  const value = doc ? doc.value : null;
+  cache.set(key, { value, loadedAt: Date.now() });
+  return value ?? defaultValue;
+};
+
+// Last known value without touching the database (for synchronous code such
+// as mongoose virtuals); null until the key has been read once
+const getCachedSetting = (key, defaultValue = null) => {
+  const cached = cache.get(key);
+  return (cached && cached.value) ?? defaultValue;
+};
+
+// Create or replace a setting
+const setSetting = async (key, value, userId = null) => {
+  await Setting.findOneAndUpdate(
+    { key },
+    { value, updatedBy: userId },
+    { upsert: true }
+  );
+  cache.set(key, { value, loadedAt: Date.now() });
+  return value;
+};
+
+module.exports = {
+  getSetting,
+  getCachedSetting,
+  setSetting
+};
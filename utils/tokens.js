@@ -0,0 +1,115 @@
+// utils/tokens.js
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/refreshTokenModel');
+const UserToken = require('../models/userTokenModel');
+const User = require('../models/userModel');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Lifetime of single-use action tokens, in seconds
+const ACTION_TOKEN_TTL = {
+  'password-reset': 60 * 60,           // 1 hour
+  'email-verification': 24 * 60 * 60   // 24 hours
+};
+
+// Hash a token before storing or looking it up (the raw value never hits the DB)
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+// Sign a short-lived access token carrying the user's current tokenVersion
+const signAccessToken = (user) =>
+  jwt.sign(
+    { id: user._id, role: user.role, tv: user.tokenVersion || 0 },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+
+// Create and persist a new refresh token; returns the raw token value
+const createRefreshToken = async (user, req, family) => {
+  const token = crypto.randomBytes(48).toString('hex');
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family: family || crypto.randomUUID(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    createdByIp: req.ip,
+    userAgent: req.get('user-agent')
+  });
+  return token;
+};
+
+// Issue an access + refresh token pair (a new session, or a rotation inside `family`)
+const issueTokens = async (user, req, family) => {
+  const accessToken = signAccessToken(user);
+  const refreshToken = await createRefreshToken(user, req, family);
+  return {
+    token: accessToken,
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  };
+};
+
+// Revoke every active refresh token for a user and bump tokenVersion so that
+// outstanding access tokens stop working immediately as well
+const revokeAllSessions = async (userId, reason = 'logout-all') => {
+  await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  await User.findByIdAndUpdate(userId, { $inc: { tokenVersion: 1 } });
+};
+
+// Create a signed, expiring, single-use token for `purpose`. Any earlier unused
+// token with the same purpose is invalidated, so only the latest link works.
+const createActionToken = async (user, purpose) => {
+  const jti = crypto.randomUUID();
+  const ttl = ACTION_TOKEN_TTL[purpose];
+
+  await UserToken.updateMany(
+    { user: user._id, purpose, usedAt: null },
+    { usedAt: new Date() }
+  );
+  await UserToken.create({
+    user: user._id,
+    purpose,
+    jti,
+    expiresAt: new Date(Date.now() + ttl * 1000)
+  });
+
+  return jwt.sign(
+    { id: user._id, purpose },
+    process.env.JWT_SECRET,
+    { expiresIn: ttl, jwtid: jti }
+  );
+};
+
+// Verify and burn an action token. Resolves to the user id, or null if the
+// token is invalid, expired, has the wrong purpose or was already used.
+const consumeActionToken = async (token, purpose) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+  if (decoded.purpose !== purpose || !decoded.jti) return null;
+
+  // Atomic check-and-set so concurrent requests can't both use the token
+  const record = await UserToken.findOneAndUpdate(
+    { jti: decoded.jti, purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() }
+  );
+  return record ? record.user : null;
+};
+
+module.exports = {
+  hashToken,
+  signAccessToken,
+  issueTokens,
+  revokeAllSessions,
+  createActionToken,
+  consumeActionToken
+};
@@ -0,0 +1,96 @@
+// utils/trash.js
+
+const { Category, Dress } = require('../models/model');
+const { Collection } = require('../models/collectionModel');
+const { deleteMultipleFromCloudinary } = require('../middleware/upload');
+const { recordRevision } = require('./audit');
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Trash.
+//    DELETE on a dress / category only moves it to the trash (see `trashable`
+//    in models/model.js). After TRASH_RETENTION_DAYS (default 30) the purge
+//    job — scripts/purge-trash.js from cron, or POST /api/trash/purge —
+//    deletes the document and destroys its Cloudinary images.
+
+const TRASH_RETENTION_DAYS = Math.max(0, Number(process.env.TRASH_RETENTION_DAYS || 30));
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Date from which an item trashed at `deletedAt` may be purged
+const purgeAfter = (deletedAt) =>
+  deletedAt ? new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * DAY_MS) : null;
+
+// Items trashed before this date are due for purging
+const purgeCutoff = (now = new Date()) => new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY_MS);
+
+// Delete a trashed dress for good: images, collection entries, document
+const purgeDress = async (dress) => {
+  await deleteMultipleFromCloudinary(dress.images.map((img) => img.public_id));
+  await Collection.updateMany({ dresses: dress._id }, { $pull: { dresses: dress._id } });
+  await Dress.deleteOne({ _id: dress._id, deletedAt: { $ne: null } });
+  await recordRevision(dress, 'purge', null);
+};
+
+// Delete a trashed category for good, unless something (even in the trash)
+// still points at it. Returns false when it has to wait.
+const purgeCategory = async (category) => {
+  const [children, dresses] = await Promise.all([
+    Category.countDocuments({ parent: category._id }, { withDeleted: true }),
+    Dress.countDocuments({ category: category._id }, { withDeleted: true })
+  ]);
+  if (children > 0 || dresses > 0) return false;
+
+  await deleteMultipleFromCloudinary([category.image.public_id]);
+  await Category.deleteOne({ _id: category._id, deletedAt: { $ne: null } });
+  await recordRevision(category, 'purge', null);
+  return true;
+};
+
+// The purge job: remove everything trashed longer than the retention period.
+// Dresses go first, then categories deepest first, so a category trashed
+// together with its contents can go in the same run. A failure (e.g.
+// Cloudinary unavailable) leaves that item in the trash for the next run.
+//    options: { now, dryRun } — dryRun only counts what is due
+// Returns { cutoff, dresses, categories, skipped, errors }.
+const purgeExpiredTrash = async ({ now = new Date(), dryRun = false } = {}) => {
+  const cutoff = purgeCutoff(now);
+  const expired = { deletedAt: { $ne: null, $lte: cutoff } };
+  const result = { cutoff, dresses: 0, categories: 0, skipped: 0, errors: [] };
+
+  const dresses = await Dress.find(expired).select('name images');
+  for (const dress of dresses) {
+    if (dryRun) {
+      result.dresses += 1;
+      continue;
+    }
+    try {
+      await purgeDress(dress);
+      result.dresses += 1;
+    } catch (error) {
+      result.errors.push({ type: 'dress', _id: dress._id, name: dress.name, error: error.message });
+    }
+  }
+
+  const categories = await Category.find(expired).select('name image ancestors');
+  categories.sort((a, b) => b.ancestors.length - a.ancestors.length);
+  for (const category of categories) {
+    if (dryRun) {
+      result.categories += 1;
+      continue;
+    }
+    try {
+      if (await purgeCategory(category)) result.categories += 1;
+      else result.skipped += 1;
+    } catch (error) {
+      result.errors.push({ type: 'category', _id: category._id, name: category.name, error: error.message });
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  purgeAfter,
+  purgeCutoff,
+  purgeExpiredTrash
+};
@@ -0,0 +1,136 @@
+// utils/whatsappTemplate.js
+
+const { BASE_CURRENCY, formatPrice, convertAmount } = require('./currency');
+
+// ──────────────────────────────────────────────────────────────────────────────
+// WhatsApp message templates.
+//    Placeholders:  {variable}                  replaced everywhere it appears
+//    Sections:      {#variable}…{/variable}     kept only when the variable is
+//                                               non-empty (e.g. size / colour)
+//    Unknown placeholders are rejected by validateTemplate().
+//
+//    Which template a dress uses (first one set wins):
+//      dress.whatsappMessage → category.whatsappTemplate → store setting
+//      "whatsappTemplate" → DEFAULT_TEMPLATE
+
+const TEMPLATE_VARIABLES = {
+  dressName: 'Dress name',
+  dressSKU: 'SKU (the variant SKU when a size / colour is selected)',
+  dressCategory: 'Category name',
+  dressPrice: 'Price the customer pays, with currency (variant price when selected)',
+  originalPrice: 'Original price before discount, with currency',
+  discount: 'Discount percentage such as "20%" (empty when not discounted)',
+  size: 'Selected size (empty when none)',
+  color: 'Selected colour (empty when none)',
+  couponCode: 'Coupon code the customer applied (empty when none)',
+  couponPrice: 'Price after the coupon, with currency (empty when no coupon)',
+  link: 'Product page URL on the storefront',
+  storeName: 'Store name (STORE_NAME env var)'
+};
+
+const DEFAULT_TEMPLATE =
+  'Hi! I am interested in this dress: {dressName} ({dressSKU}) at {dressPrice}' +
+  '{#discount} ({discount} off){/discount}.' +
+  '{#size}\nSize: {size}{/size}{#color}\nColour: {color}{/color}' +
+  '{#couponCode}\nCoupon: {couponCode} (price after coupon {couponPrice}){/couponCode}' +
+  '\n{link}\nPlease provide more details about availability and delivery.';
+
+// Message every dress was created with before templates existed; treated as
+// "not customised" so those dresses follow their category / store template
+const LEGACY_DEFAULT_MESSAGE =
+  'Hi! I am interested in this dress: {dressName}. Please provide more details about pricing, availability, and delivery.';
+
+const PLACEHOLDER = /\{([#/]?)(\w*)\}/g;
+
+// Check a template: every placeholder must be a known variable and every
+// section must be closed. Returns { valid, errors, unknown }.
+const validateTemplate = (template) => {
+  const errors = [];
+  const unknown = new Set();
+  const open = [];
+
+  if (typeof template !== 'string' || template.trim() === '') {
+    return { valid: false, errors: ['Template must be a non-empty string'], unknown: [] };
+  }
+
+  for (const match of template.matchAll(PLACEHOLDER)) {
+    const [, kind, name] = match;
+    if (!Object.prototype.hasOwnProperty.call(TEMPLATE_VARIABLES, name)) {
+      unknown.add(name || match[0]);
+      continue;
+    }
+    if (kind === '#') {
+      open.push(name);
+    } else if (kind === '/') {
+      if (open.pop() !== name) errors.push(`Unexpected {/${name}}`);
+    }
+  }
+  open.forEach((name) => errors.push(`Section {#${name}} is never closed with {/${name}}`));
+  if (unknown.size > 0) {
+    errors.unshift(`Unknown placeholders: ${[...unknown].map((n) => `{${n}}`).join(', ')}`);
+  }
+
+  return { valid: errors.length === 0, errors, unknown: [...unknown] };
+};
+
+// Render a template against a context of variable values
+const renderTemplate = (template, context) => {
+  const value = (name) => {
+    const v = context[name];
+    return v === null || v === undefined ? '' : String(v);
+  };
+
+  // Sections may nest: each pass resolves the outermost ones, so repeat until
+  // nothing changes
+  let text = template;
+  let previous;
+  do {
+    previous = text;
+    text = text.replace(/\{#(\w+)\}([\s\S]*?)\{\/\1\}/g, (m, name, body) => (value(name) ? body : ''));
+  } while (text !== previous);
+
+  return text
+    .replace(/\{(\w+)\}/g, (m, name) =>
+      Object.prototype.hasOwnProperty.call(TEMPLATE_VARIABLES, name) ? value(name) : m
+    );
+};
+
+// Variable values for a dress, its category and an optional size / colour /
+// applied coupon ({ code, price }). Prices are shown in `currency` (a context
+// from utils/currency.js currencyContext()), default the store currency.
+const buildContext = (dress, category, { size, color, coupon, currency } = {}) => {
+  const variant = size && dress.findVariant ? dress.findVariant(size, color) : null;
+  const price = variant ? dress.variantPrice(variant) : dress.effectivePrice;
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const money = (amount) =>
+    formatPrice(convertAmount(amount, currency), currency ? currency.code : BASE_CURRENCY);
+
+  return {
+    dressName: dress.name,
+    dressSKU: (variant && variant.sku) || dress.sku || '',
+    dressCategory: (category && category.name) || '',
+    dressPrice: money(price),
+    originalPrice: money(dress.price && dress.price.original),
+    discount: dress.discountPercentage ? `${dress.discountPercentage}%` : '',
+    size: size || '',
+    color: color || '',
+    couponCode: coupon ? coupon.code : '',
+    couponPrice: coupon ? money(coupon.price) : '',
+    link: `${frontendUrl}/dress/${dress._id}`,
+    storeName: process.env.STORE_NAME || ''
+  };
+};
+
+// Whether a template mentions a variable at all (placeholder or section)
+const usesVariable = (template, name) =>
+  new RegExp(`\\{[#/]?${name}\\}`).test(template);
+
+module.exports = {
+  TEMPLATE_VARIABLES,
+  DEFAULT_TEMPLATE,
+  LEGACY_DEFAULT_MESSAGE,
+  validateTemplate,
+  renderTemplate,
+  buildContext,
+  usesVariable
+};